@@ -1,12 +1,54 @@
 /**
  * @typedef {Object} ClosedTab
+ * @property {string} id - Unique identifier of the history entry
  * @property {string} url - The URL of the closed tab
+ * @property {string} title - The title of the closed tab
+ * @property {string} [favIconUrl] - The favicon of the closed tab
+ * @property {number} windowId - The window the tab was in
+ * @property {number} index - The position of the tab in its window
+ * @property {boolean} pinned - Whether the tab was pinned
+ * @property {string} [cookieStoreId] - The cookie store (container) of the tab
+ * @property {string} [containerName] - The name of the container, to find it again if its ID changed
  * @property {number} timestamp - When the tab was closed
+ * @property {string} type - What happened to the tab ('closed', 'unloaded', 'killed',
+ *   'evicted'/'evicted-unloaded' when closed or unloaded to stay under the tab cap, or
+ *   'deduplicated' when closed because its page was already open)
+ * @property {string} [sweepId] - Identifier of the check run that acted on the tab
+ * @property {number} [restoredAt] - When the tab was restored from history
+ */
+
+// History entry types that can be reopened from the popup
+const RESTORABLE_TYPES = ['closed', 'killed', 'evicted', 'deduplicated'];
+
+// History entry types for tabs that were unloaded rather than closed
+const UNLOAD_TYPES = ['unloaded', 'evicted-unloaded'];
+
+/**
+ * @typedef {Object} ActivityRecord
+ * @property {number} tabId - The ID the tab had when the record was saved
+ * @property {string} url - The URL of the tab
+ * @property {number} windowId - The window the tab was in
+ * @property {number} index - The position of the tab in its window
+ * @property {number} lastAccess - The last access time in milliseconds
+ * @property {number} [openedAt] - When the tab was opened in milliseconds
  */
 
 // Track tab activity
 const tabActivity = new Map();
 
+// Track when tabs were opened, for rules with a tab age condition
+const tabOpenedAt = new Map();
+
+// Saved activity records not yet matched to an open tab
+let pendingActivityRecords = [];
+
+// How long unmatched records wait for the session store to restore their tab
+const PENDING_ACTIVITY_TTL_MS = 5 * 60 * 1000;
+
+// Debounce timer for persisting tab activity
+let activitySaveTimer = null;
+const ACTIVITY_SAVE_DELAY_MS = 5000;
+
 /**
  * Update the activity timestamp for a tab
  * @param {number} tabId - The ID of the tab to update
@@ -14,9 +56,99 @@ const tabActivity = new Map();
 function updateTabActivity(tabId) {
   const timestamp = Date.now();
   tabActivity.set(tabId, timestamp);
+  scheduleActivitySave();
   console.log(`Tab ${tabId} activity updated at:`, new Date(timestamp).toISOString());
 }
 
+/**
+ * Forgets the activity of a tab that no longer exists
+ * @param {number} tabId - The ID of the removed tab
+ */
+function removeTabActivity(tabId) {
+  tabActivity.delete(tabId);
+  tabOpenedAt.delete(tabId);
+  scheduleActivitySave();
+}
+
+/**
+ * Persists tab activity a few seconds after the last change
+ */
+function scheduleActivitySave() {
+  clearTimeout(activitySaveTimer);
+  activitySaveTimer = setTimeout(() => {
+    saveTabActivity().catch(error => {
+      console.error('Error saving tab activity:', error);
+    });
+  }, ACTIVITY_SAVE_DELAY_MS);
+}
+
+/**
+ * Writes last access times to storage.local along with what is needed to
+ * recognize each tab again after its ID changes
+ */
+async function saveTabActivity() {
+  const tabs = await browser.tabs.query({});
+  const records = tabs
+    .filter(tab => tabActivity.has(tab.id))
+    .map(tab => ({
+      tabId: tab.id,
+      url: tab.url,
+      windowId: tab.windowId,
+      index: tab.index,
+      lastAccess: tabActivity.get(tab.id),
+      openedAt: tabOpenedAt.get(tab.id)
+    }));
+
+  // Keep records that were not matched yet, their tabs may still be restored
+  await browser.storage.local.set({ tabActivity: records.concat(pendingActivityRecords) });
+}
+
+/**
+ * Finds and removes the saved record that best matches a tab.
+ * The same tab ID wins (extension reload), otherwise the URL must match and
+ * the window and index break ties (session restore assigns new IDs).
+ * @param {browser.tabs.Tab} tab - The tab to match
+ * @returns {ActivityRecord|null} The matching record, if any
+ */
+function claimActivityRecord(tab) {
+  let bestIndex = -1;
+  let bestScore = -1;
+
+  pendingActivityRecords.forEach((record, i) => {
+    if (record.url !== tab.url) return;
+    const score = (record.tabId === tab.id ? 4 : 0) +
+      (record.windowId === tab.windowId ? 2 : 0) +
+      (record.index === tab.index ? 1 : 0);
+    if (score > bestScore) {
+      bestScore = score;
+      bestIndex = i;
+    }
+  });
+
+  if (bestIndex === -1) return null;
+  return pendingActivityRecords.splice(bestIndex, 1)[0];
+}
+
+/**
+ * Sets the initial last access time of a tab from saved activity, falling
+ * back to Firefox's own lastAccessed value
+ * @param {browser.tabs.Tab} tab - The tab to seed
+ * @param {number} now - The current time in milliseconds
+ */
+function seedTabActivity(tab, now) {
+  const record = claimActivityRecord(tab);
+  tabOpenedAt.set(tab.id, (record && record.openedAt) || Math.min(tab.lastAccessed || now, now));
+  if (tab.active) {
+    tabActivity.set(tab.id, now);
+  } else if (record) {
+    tabActivity.set(tab.id, Math.min(record.lastAccess, now));
+  } else if (tab.lastAccessed && tab.lastAccessed <= now) {
+    tabActivity.set(tab.id, tab.lastAccessed);
+  } else {
+    tabActivity.set(tab.id, now);
+  }
+}
+
 /**
  * Get the last access time for a tab
  * @param {number} tabId - The ID of the tab
@@ -27,584 +159,3987 @@ async function getTabLastAccess(tabId) {
 }
 
 /**
- * Adds a closed tab to the history and shows a notification
- * @param {string} url - The URL of the closed tab
- * @param {string} type - The type of the tab (default: 'closed')
+ * Get the time a tab was opened
+ * @param {number} tabId - The ID of the tab
+ * @returns {number} The opening time in milliseconds
  */
-async function addToHistory(url, type = 'closed') {
-  try {
-    const { closedTabs = [] } = await browser.storage.local.get({ closedTabs: [] });
-    const { showNotifications = true } = await browser.storage.sync.get({ showNotifications: true });
-    
-    closedTabs.push({
-      url,
-      timestamp: Date.now(),
-      type
-    });
-    
-    // Keep only last 100 entries
-    if (closedTabs.length > 100) {
-      closedTabs.shift();
-    }
-    
-    await browser.storage.local.set({ closedTabs });
-
-    // Show notification if enabled
-    if (showNotifications) {
-      await browser.notifications.create({
-        type: 'basic',
-        iconUrl: browser.runtime.getURL('icons/icon-48.png'),
-        title: type === 'unloaded' ? 'Tab Unloaded' : 'Tab Closed',
-        message: `${type === 'unloaded' ? 'Unloaded' : 'Closed'} tab: ${url}`
-      });
-    }
-  } catch (e) {
-    console.error('Error adding to history:', e);
-  }
+function getTabOpenedAt(tabId) {
+  return tabOpenedAt.get(tabId) || tabActivity.get(tabId) || Date.now();
 }
 
 /**
- * Initializes activity tracking for all existing tabs
+ * Creates a unique identifier for history entries and sweeps
+ * @returns {string} A random identifier
  */
-async function initializeTabActivity() {
-  console.log('Initializing tab activity...');
-  const tabs = await browser.tabs.query({});
-  const currentTime = Date.now();
-  
-  tabs.forEach(tab => {
-    tabActivity.set(tab.id, currentTime);
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// IndexedDB database holding the closed tab history
+const HISTORY_DB_NAME = 'auto-tab-kill';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'closedTabs';
+
+// Entries returned per page when querying the history
+const HISTORY_PAGE_SIZE = 50;
+
+let historyDbPromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} Resolves with the result of the request
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
   });
-  
-  console.log('Tab activity initialized');
 }
 
-initializeTabActivity();
+/**
+ * Waits for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>} Resolves once the transaction is committed
+ */
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
 
 /**
- * @typedef {Object} Pattern
- * @property {string} pattern - URL pattern with wildcards
- * @property {('keep'|'duplicate'|'duplicate-no-query'|'duplicate-domain')} action - Action to take for matching URLs
+ * Visits the entries of an index in order until the callback returns false
+ * @param {IDBIndex} index - The index to walk
+ * @param {IDBKeyRange|null} range - The keys to visit
+ * @param {IDBCursorDirection} direction - 'next' for oldest first, 'prev' for newest first
+ * @param {function(ClosedTab, IDBCursorWithValue): boolean} visit - Called for every entry
+ * @returns {Promise<void>} Resolves once the walk stopped
  */
+function walkIndex(index, range, direction, visit) {
+  return new Promise((resolve, reject) => {
+    const request = index.openCursor(range, direction);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && visit(cursor.value, cursor) !== false) {
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
 
 /**
- * Determines the action to take for a URL based on the first matching pattern
- * @param {string} url - The URL to check
- * @param {Pattern[]} patterns - List of patterns to check against
- * @returns {string|null} The action to take, or null if no pattern matches
+ * Opens the history database, moving over the history kept in storage.local
+ * by older versions the first time
+ * @returns {Promise<IDBDatabase>} The database
  */
-function getPatternAction(url, patterns) {
-  // Always protect about: pages
-  if (url.startsWith('about:')) {
-    return 'keep';
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        // The ID breaks ties between tabs closed in the same millisecond
+        store.createIndex('timestamp', ['timestamp', 'id']);
+        store.createIndex('sweepId', 'sweepId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then(async db => {
+      const { closedTabs } = await browser.storage.local.get('closedTabs');
+      if (closedTabs) {
+        const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+        closedTabs.forEach(entry => transaction.objectStore(HISTORY_STORE).put({
+          ...entry,
+          id: entry.id || createId()
+        }));
+        await transactionToPromise(transaction);
+        await browser.storage.local.remove('closedTabs');
+        console.log(`Moved ${closedTabs.length} history entries to IndexedDB`);
+      }
+      return db;
+    }).catch(error => {
+      historyDbPromise = null;
+      throw error;
+    });
   }
+  return historyDbPromise;
+}
 
-  for (const pattern of patterns) {
-    try {
-      if (url.match(new RegExp(pattern.pattern))) {
-        return pattern.action;
-      }
-    } catch (e) {
-      console.error('Invalid pattern:', pattern, e);
+/**
+ * Deletes history entries beyond the configured retention, oldest first
+ * @param {IDBDatabase} db - The history database
+ * @param {Object} settings - Current settings
+ */
+async function pruneHistory(db, settings) {
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = transaction.objectStore(HISTORY_STORE);
+  const maxEntries = settings.historyMaxEntries;
+  const cutoff = settings.historyMaxAgeDays > 0
+    ? Date.now() - settings.historyMaxAgeDays * 24 * 60 * 60 * 1000
+    : 0;
+
+  let excess = (await requestToPromise(store.count())) - maxEntries;
+  await walkIndex(store.index('timestamp'), null, 'next', (entry, cursor) => {
+    if (excess <= 0 && entry.timestamp >= cutoff) {
+      return false;
     }
-  }
-  return null;
+    cursor.delete();
+    excess--;
+    return true;
+  });
+  await transactionToPromise(transaction);
 }
 
 /**
- * Returns the URL without query parameters
- * @param {string} url - The URL to process
- * @returns {string} URL without query parameters
+ * Reads history entries by ID
+ * @param {string[]} entryIds - The IDs to read
+ * @returns {Promise<ClosedTab[]>} The entries that exist
  */
-function getUrlWithoutQuery(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.origin + urlObj.pathname;
-  } catch (e) {
-    return url;
-  }
+async function getHistoryEntries(entryIds) {
+  const db = await openHistoryDb();
+  const store = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE);
+  const entries = await Promise.all(entryIds.map(id => requestToPromise(store.get(id))));
+  return entries.filter(Boolean);
 }
 
 /**
- * Extracts the domain from a URL
- * @param {string} url - The URL to process
- * @returns {string} The domain name
+ * Saves history entries, replacing entries with the same ID
+ * @param {ClosedTab[]} entries - The entries to save
  */
-function getDomain(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.hostname;
-  } catch (e) {
-    return url;
-  }
+async function putHistoryEntries(entries) {
+  const db = await openHistoryDb();
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  entries.forEach(entry => transaction.objectStore(HISTORY_STORE).put(entry));
+  await transactionToPromise(transaction);
 }
 
 /**
- * @typedef {Object} TabSettings
- * @property {boolean} closeDuplicates - Whether to close exact duplicate tabs
- * @property {boolean} closeDuplicatesIgnoreQuery - Whether to close tabs that are duplicates when ignoring query parameters
- * @property {boolean} closeDuplicateDomains - Whether to close tabs with duplicate domains (keeping newest)
- * @property {('duplicate'|'duplicate-no-query'|'duplicate-domain'|'always'|'never')} defaultBehavior - Default behavior for tabs without a matching pattern
+ * @typedef {Object} HistoryQuery
+ * @property {string} [text] - Text the URL or title must contain
+ * @property {string[]} [types] - Entry types to include, all types when empty
+ * @property {string} [domain] - Host the tab was on, subdomains included
+ * @property {string} [sweepId] - Only include entries of this sweep
+ * @property {boolean} [restorable] - Only include entries that can still be restored
+ * @property {number} [from] - Earliest close time in milliseconds
+ * @property {number} [to] - Latest close time in milliseconds
+ * @property {Array} [after] - Key of the last entry of the previous page, as returned in `next`
+ * @property {number} [limit] - Maximum number of entries to return
  */
 
 /**
- * Check if a tab should be closed based on settings and patterns
- * @param {browser.tabs.Tab} tab - The tab to check
- * @param {TabSettings} settings - Current tab settings
- * @param {browser.tabs.Tab[]} allTabs - All open tabs
- * @returns {boolean} Whether the tab should be closed
+ * Checks whether a history entry matches the filters of a query
+ * @param {ClosedTab} entry - The entry to check
+ * @param {HistoryQuery} query - The query
+ * @returns {boolean} Whether the entry matches
  */
-async function shouldCloseTab(tab, settings, allTabs) {
-  // Skip about: URLs by default
-  if (tab.url.startsWith('about:')) {
+function matchesHistoryQuery(entry, query) {
+  if (query.sweepId && entry.sweepId !== query.sweepId) {
     return false;
   }
-
-  // Check patterns first
-  for (const pattern of settings.patterns) {
-    if (matchesPattern(tab.url, pattern.pattern)) {
-      switch (pattern.action) {
-        case 'keep':
-          return false;
-        case 'duplicate':
-          // Find the newest duplicate tab
-          const exactDuplicates = allTabs.filter(t => t.id !== tab.id && t.url === tab.url);
-          if (exactDuplicates.length > 0) {
-            // Only close this tab if it's older than all duplicates
-            return exactDuplicates.every(t => tab.lastAccessed < t.lastAccessed);
-          }
-          return false;
-        case 'duplicate-no-query':
-          const tabUrlNoQuery = getUrlWithoutQuery(tab.url);
-          const queryDuplicates = allTabs.filter(t => 
-            t.id !== tab.id && getUrlWithoutQuery(t.url) === tabUrlNoQuery
-          );
-          if (queryDuplicates.length > 0) {
-            // Only close this tab if it's older than all duplicates
-            return queryDuplicates.every(t => tab.lastAccessed < t.lastAccessed);
-          }
-          return false;
-        case 'duplicate-domain':
-          const tabDomain = getDomain(tab.url);
-          const domainDuplicates = allTabs.filter(t => 
-            t.id !== tab.id && getDomain(t.url) === tabDomain
-          );
-          if (domainDuplicates.length > 0) {
-            // Only close this tab if it's older than all duplicates
-            return domainDuplicates.every(t => tab.lastAccessed < t.lastAccessed);
-          }
-          return false;
-      }
+  if (query.restorable && (!RESTORABLE_TYPES.includes(entry.type) || entry.restoredAt)) {
+    return false;
+  }
+  if (query.types && query.types.length > 0 && !query.types.includes(entry.type)) {
+    return false;
+  }
+  if (query.text) {
+    const text = query.text.toLowerCase();
+    if (!`${entry.url} ${entry.title}`.toLowerCase().includes(text)) {
+      return false;
     }
   }
-
-  // Apply default behavior if no patterns match
-  switch (settings.defaultBehavior) {
-    case 'duplicate':
-      const exactDuplicates = allTabs.filter(t => t.id !== tab.id && t.url === tab.url);
-      return exactDuplicates.length > 0 && exactDuplicates.every(t => tab.lastAccessed < t.lastAccessed);
-    case 'duplicate-no-query':
-      const tabUrlNoQuery = getUrlWithoutQuery(tab.url);
-      const queryDuplicates = allTabs.filter(t => 
-        t.id !== tab.id && getUrlWithoutQuery(t.url) === tabUrlNoQuery
-      );
-      return queryDuplicates.length > 0 && queryDuplicates.every(t => tab.lastAccessed < t.lastAccessed);
-    case 'duplicate-domain':
-      const tabDomain = getDomain(tab.url);
-      const domainDuplicates = allTabs.filter(t => 
-        t.id !== tab.id && getDomain(t.url) === tabDomain
-      );
-      return domainDuplicates.length > 0 && domainDuplicates.every(t => tab.lastAccessed < t.lastAccessed);
-    default:
+  if (query.domain) {
+    const domain = query.domain.toLowerCase().replace(/^\*?\./, '');
+    const host = getDomain(entry.url).toLowerCase();
+    if (host !== domain && !host.endsWith(`.${domain}`)) {
       return false;
+    }
   }
+  return true;
 }
 
 /**
- * Checks if a tab has a duplicate
- * @param {browser.tabs.Tab} tab - The tab to check
- * @param {browser.tabs.Tab[]} allTabs - All open tabs
- * @returns {boolean} Whether the tab has a duplicate
+ * Searches the history, newest first, one page at a time
+ * @param {HistoryQuery} query - The filters and page to return
+ * @returns {Promise<{entries: ClosedTab[], next: (Array|null), sweepSizes: Object<string, number>}>} The
+ *   entries, the key to pass as `after` for the next page, and how many restorable tabs each of their sweeps has
  */
-function hasDuplicate(tab, allTabs) {
-  return allTabs.some(t => t.id !== tab.id && t.url === tab.url);
+async function queryHistory(query = {}) {
+  const db = await openHistoryDb();
+  const store = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE);
+  const limit = query.limit || HISTORY_PAGE_SIZE;
+
+  // Keys are [timestamp, id], and [time] sorts before every key with that time
+  const lower = query.from ? [query.from] : null;
+  const upper = query.after || (query.to ? [query.to + 1] : null);
+  let range = null;
+  if (lower && upper) {
+    range = IDBKeyRange.bound(lower, upper, false, true);
+  } else if (lower) {
+    range = IDBKeyRange.lowerBound(lower);
+  } else if (upper) {
+    range = IDBKeyRange.upperBound(upper, true);
+  }
+
+  const entries = [];
+  let next = null;
+  await walkIndex(store.index('timestamp'), range, 'prev', entry => {
+    if (!matchesHistoryQuery(entry, query)) {
+      return true;
+    }
+    if (entries.length === limit) {
+      next = [entries[limit - 1].timestamp, entries[limit - 1].id];
+      return false;
+    }
+    entries.push(entry);
+    return true;
+  });
+
+  const sweepSizes = {};
+  const sweepIds = Array.from(new Set(entries.map(entry => entry.sweepId).filter(Boolean)));
+  const sweepIndex = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index('sweepId');
+  const sweeps = await Promise.all(sweepIds.map(sweepId => requestToPromise(sweepIndex.getAll(sweepId))));
+  sweepIds.forEach((sweepId, i) => {
+    sweepSizes[sweepId] = sweeps[i].filter(entry => RESTORABLE_TYPES.includes(entry.type) && !entry.restoredAt).length;
+  });
+
+  return { entries, next, sweepSizes };
 }
 
 /**
- * Checks if a tab has a duplicate ignoring query parameters
- * @param {browser.tabs.Tab} tab - The tab to check
- * @param {browser.tabs.Tab[]} allTabs - All open tabs
- * @returns {boolean} Whether the tab has a duplicate ignoring query parameters
+ * Adds a closed tab to the history and to the digest of its sweep
+ * @param {browser.tabs.Tab} tab - The tab that was closed or unloaded
+ * @param {string} type - The type of the tab (default: 'closed')
+ * @param {string} [sweepId] - Identifier of the check run that acted on the tab
  */
-function hasDuplicateIgnoringQuery(tab, allTabs) {
-  const tabUrlNoQuery = getUrlWithoutQuery(tab.url);
-  return allTabs.some(t => t.id !== tab.id && getUrlWithoutQuery(t.url) === tabUrlNoQuery);
+async function addToHistory(tab, type = 'closed', sweepId = null) {
+  try {
+    const settings = await loadSettings();
+    const db = await openHistoryDb();
+
+    const entry = {
+      id: createId(),
+      url: tab.url,
+      title: tab.title || tab.url,
+      favIconUrl: tab.favIconUrl,
+      windowId: tab.windowId,
+      index: tab.index,
+      pinned: tab.pinned,
+      cookieStoreId: tab.cookieStoreId,
+      containerName: getContainerName(tab.cookieStoreId),
+      timestamp: Date.now(),
+      type,
+      sweepId
+    };
+    await putHistoryEntries([entry]);
+    await pruneHistory(db, settings);
+
+    if (sweepId) {
+      if (!sweepDigests.has(sweepId)) {
+        sweepDigests.set(sweepId, []);
+      }
+      sweepDigests.get(sweepId).push(entry);
+    }
+  } catch (e) {
+    console.error('Error adding to history:', e);
+  }
 }
 
 /**
- * Checks if a tab has a duplicate domain
- * @param {browser.tabs.Tab} tab - The tab to check
- * @param {browser.tabs.Tab[]} allTabs - All open tabs
- * @returns {boolean} Whether the tab has a duplicate domain
+ * Reopens a single history entry, preferring the sessions API so the tab
+ * gets its back/forward history back
+ * @param {ClosedTab} entry - The history entry to restore
+ * @param {browser.sessions.Session[]} recentlyClosed - Recently closed sessions, consumed as they are restored
  */
-function hasDuplicateDomain(tab, allTabs) {
-  const tabDomain = getDomain(tab.url);
-  const duplicateDomainTab = allTabs.find(t => t.id !== tab.id && getDomain(t.url) === tabDomain);
-  return duplicateDomainTab && tab.lastAccessed < duplicateDomainTab.lastAccessed;
+async function restoreHistoryEntry(entry, recentlyClosed) {
+  const sessionIndex = recentlyClosed.findIndex(session =>
+    session.tab && session.tab.url === entry.url && session.tab.windowId === entry.windowId
+  );
+  const fallbackIndex = sessionIndex === -1
+    ? recentlyClosed.findIndex(session => session.tab && session.tab.url === entry.url)
+    : sessionIndex;
+
+  if (fallbackIndex !== -1) {
+    const [session] = recentlyClosed.splice(fallbackIndex, 1);
+    try {
+      await browser.sessions.restore(session.tab.sessionId);
+      return;
+    } catch (e) {
+      console.error('Error restoring session, reopening tab instead:', e);
+    }
+  }
+
+  const createProperties = {
+    url: entry.url,
+    pinned: entry.pinned,
+    active: false
+  };
+
+  try {
+    await browser.windows.get(entry.windowId);
+    createProperties.windowId = entry.windowId;
+    createProperties.index = entry.index;
+  } catch (e) {
+    console.log(`Window ${entry.windowId} no longer exists, restoring tab in current window`);
+  }
+
+  const cookieStoreId = await findHistoryContainer(entry);
+  if (cookieStoreId) {
+    createProperties.cookieStoreId = cookieStoreId;
+  }
+
+  await browser.tabs.create(createProperties);
 }
 
 /**
- * Checks if a URL matches a pattern
- * @param {string} url - The URL to check
- * @param {string} pattern - The pattern to match against
- * @returns {boolean} Whether the URL matches the pattern
+ * Finds the container to reopen a history entry in. Containers that were
+ * removed and created again are found by name.
+ * @param {ClosedTab} entry - The history entry
+ * @returns {Promise<(string|null)>} The cookie store ID, or null to open the tab outside containers
  */
-function matchesPattern(url, pattern) {
-  const patternRegex = pattern
-    .replace(/\./g, '\\.')
-    .replace(/\*/g, '.*');
-  return new RegExp(`^${patternRegex}$`).test(url);
+async function findHistoryContainer(entry) {
+  if (!entry.cookieStoreId || entry.cookieStoreId === 'firefox-default') {
+    return null;
+  }
+  await loadContainers();
+  if (containers.has(entry.cookieStoreId)) {
+    return entry.cookieStoreId;
+  }
+  const byName = Array.from(containers.values()).find(container => container.name === entry.containerName);
+  if (byName) {
+    return byName.cookieStoreId;
+  }
+  console.log(`Container ${entry.containerName || entry.cookieStoreId} no longer exists, restoring tab without it`);
+  return null;
 }
 
 /**
- * Gets the domain from a URL
- * @param {string} url - The URL to get the domain from
- * @returns {string} The domain
+ * Restores the given history entries in their original windows and positions
+ * @param {string[]} entryIds - IDs of the history entries to restore
+ * @returns {Promise<number>} The number of restored tabs
  */
-function getDomain(url) {
+async function restoreHistoryEntries(entryIds) {
+  const entries = (await getHistoryEntries(entryIds))
+    .filter(entry => RESTORABLE_TYPES.includes(entry.type) && !entry.restoredAt)
+    .sort((a, b) => a.index - b.index); // Restore left to right so indexes stay valid
+
+  let recentlyClosed = [];
   try {
-    return new URL(url).hostname;
-  } catch {
-    return url;
+    recentlyClosed = await browser.sessions.getRecentlyClosed();
+  } catch (e) {
+    console.error('Error getting recently closed sessions:', e);
   }
+
+  let restored = 0;
+  for (const entry of entries) {
+    try {
+      await restoreHistoryEntry(entry, recentlyClosed);
+      entry.restoredAt = Date.now();
+      restored++;
+      console.log(`Restored tab: ${entry.url}`);
+    } catch (e) {
+      console.error('Error restoring tab:', entry.url, e);
+    }
+  }
+
+  await putHistoryEntries(entries.filter(entry => entry.restoredAt));
+  return restored;
 }
 
 /**
- * Gets a URL without query parameters
- * @param {string} url - The URL to strip query parameters from
- * @returns {string} The URL without query parameters
+ * Restores every restorable tab that was closed in the same sweep
+ * @param {string} sweepId - Identifier of the sweep to restore
+ * @returns {Promise<number>} The number of restored tabs
  */
-function getUrlWithoutQuery(url) {
-  try {
-    const urlObj = new URL(url);
-    urlObj.search = '';
-    return urlObj.toString();
-  } catch {
-    return url;
-  }
+async function restoreSweep(sweepId) {
+  const db = await openHistoryDb();
+  const store = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE);
+  const entries = await requestToPromise(store.index('sweepId').getAll(sweepId));
+  return restoreHistoryEntries(entries.map(entry => entry.id));
 }
 
-// Track unloaded tabs and their timestamps
-let unloadedTabs = new Map();
+// Entries added by sweeps that have not been reported yet, by sweep ID.
+// Sweeps call notifySweep from `finally`, so a failed sweep still reports
+// and clears what it did.
+const sweepDigests = new Map();
 
-// Function to check and kill old unloaded tabs
-async function checkAndKillUnloadedTabs() {
-  console.log('Checking for old unloaded tabs...');
-  const settings = await browser.storage.sync.get({ autoKillUnloaded: false });
-  
-  if (!settings.autoKillUnloaded) {
-    console.log('Auto-kill unloaded tabs is disabled');
+// Prefix of the IDs of sweep digest notifications, followed by the sweep ID
+const SWEEP_NOTIFICATION_PREFIX = 'sweep:';
+
+/**
+ * Formats a count of tabs, e.g. "1 tab" or "7 tabs"
+ * @param {number} count - The number of tabs
+ * @returns {string} The formatted count
+ */
+function formatTabCount(count) {
+  return `${count} ${count === 1 ? 'tab' : 'tabs'}`;
+}
+
+/**
+ * Shows one notification summing up what a sweep did to tabs. Clicking it
+ * opens the history of the sweep, and its Undo button restores the closed tabs.
+ * @param {string} sweepId - Identifier of the sweep
+ */
+async function notifySweep(sweepId) {
+  const entries = sweepDigests.get(sweepId);
+  sweepDigests.delete(sweepId);
+  if (!entries || entries.length === 0) {
     return;
   }
 
-  const now = Date.now();
-  const KILL_AFTER_MS = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+  try {
+    const settings = await loadSettings();
+    if (!settings.showNotifications) {
+      return;
+    }
 
-  for (const [tabId, unloadTime] of unloadedTabs.entries()) {
-    if (now - unloadTime >= KILL_AFTER_MS) {
+    const closed = entries.filter(entry => !UNLOAD_TYPES.includes(entry.type));
+    const unloaded = entries.filter(entry => UNLOAD_TYPES.includes(entry.type));
+    const parts = [];
+    if (closed.length > 0) parts.push(`closed ${formatTabCount(closed.length)}`);
+    if (unloaded.length > 0) parts.push(`unloaded ${formatTabCount(unloaded.length)}`);
+    const summary = parts.join(', ');
+
+    const options = {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+      title: summary.charAt(0).toUpperCase() + summary.slice(1),
+      message: entries.length === 1
+        ? entries[0].title
+        : `${entries.slice(0, 3).map(entry => entry.title).join('\n')}${entries.length > 3 ? '\n…' : ''}`
+    };
+    const notificationId = `${SWEEP_NOTIFICATION_PREFIX}${sweepId}`;
+    if (closed.length > 0) {
+      // Not every browser supports buttons, the history page offers Undo too
       try {
-        const tab = await browser.tabs.get(tabId);
-        if (tab && !tab.active && !tab.discarded) {
-          console.log(`Killing old unloaded tab: ${tab.url}`);
-          await browser.tabs.remove(tabId);
-          await addToHistory(tab.url, 'killed');
-        }
-      } catch (error) {
-        console.error(`Error killing tab ${tabId}:`, error);
+        await browser.notifications.create(notificationId, Object.assign({ buttons: [{ title: 'Undo' }] }, options));
+        return;
+      } catch (e) {
+        console.log('Notification buttons not supported:', e.message);
       }
-      unloadedTabs.delete(tabId);
     }
+    await browser.notifications.create(notificationId, options);
+  } catch (e) {
+    console.error('Error showing sweep notification:', e);
   }
 }
 
-// Add alarm for checking unloaded tabs
-browser.alarms.create('checkUnloadedTabs', {
-  periodInMinutes: 30 // Check every 30 minutes
-});
+/**
+ * Gets the sweep a digest notification belongs to
+ * @param {string} notificationId - The ID of the notification
+ * @returns {string|null} The sweep ID, or null for other notifications
+ */
+function getNotificationSweepId(notificationId) {
+  return notificationId.startsWith(SWEEP_NOTIFICATION_PREFIX)
+    ? notificationId.slice(SWEEP_NOTIFICATION_PREFIX.length)
+    : null;
+}
 
-// Update the alarm handler
-browser.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name === 'checkUnloadTabs') {
-    await checkAndKillUnloadedTabs();
+// Open the history of the sweep when its notification is clicked
+browser.notifications.onClicked.addListener(async (notificationId) => {
+  const sweepId = getNotificationSweepId(notificationId);
+  if (!sweepId) return;
+  try {
+    await browser.notifications.clear(notificationId);
+    await browser.tabs.create({ url: browser.runtime.getURL(`history.html?sweep=${encodeURIComponent(sweepId)}`) });
+  } catch (e) {
+    console.error('Error opening sweep history:', e);
   }
 });
 
-// Update the tab update listener to remove tabs from tracking when they become active
-browser.tabs.onActivated.addListener(async (activeInfo) => {
-  unloadedTabs.delete(activeInfo.tabId);
-});
-
-browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.active) {
-    unloadedTabs.delete(tabId);
+// Undo restores every tab the sweep closed
+browser.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const sweepId = getNotificationSweepId(notificationId);
+  if (!sweepId || buttonIndex !== 0) return;
+  try {
+    await browser.notifications.clear(notificationId);
+    const restored = await restoreSweep(sweepId);
+    console.log(`Undo restored ${restored} tabs`);
+  } catch (e) {
+    console.error('Error undoing sweep:', e);
   }
 });
 
-// Listen for tab activation
-browser.tabs.onActivated.addListener(activeInfo => {
-  updateTabActivity(activeInfo.tabId);
-});
+// Bookmarks folder closed tabs are archived in, inside "Other Bookmarks"
+const ARCHIVE_FOLDER_TITLE = 'Auto Tab Kill';
+const OTHER_BOOKMARKS_ID = 'unfiled_____';
 
-// Listen for tab updates
-browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
-  if (changeInfo.status === 'complete' || changeInfo.url) {
-    updateTabActivity(tabId);
-  }
-});
+// Settings that turn archiving on for each close reason
+const ARCHIVE_REASON_SETTINGS = {
+  inactive: 'archiveInactive',
+  duplicate: 'archiveDuplicates',
+  killed: 'archiveKilled',
+  evicted: 'archiveEvicted'
+};
 
-// Listen for tab removal
-browser.tabs.onRemoved.addListener(tabId => {
-  tabActivity.delete(tabId);
-});
+// Archiving runs one tab at a time, so a sweep doesn't create the same folder twice
+let archiveQueue = Promise.resolve();
 
-// Listen for window focus changes
-browser.windows.onFocusChanged.addListener(async (windowId) => {
-  if (windowId !== browser.windows.WINDOW_ID_NONE) {
-    const tabs = await browser.tabs.query({ active: true, windowId });
-    if (tabs.length > 0) {
-      updateTabActivity(tabs[0].id);
-    }
-  }
-});
+/**
+ * Works out why a tab is closed for a rule action
+ * @param {RuleAction} action - The action resolved for the tab
+ * @returns {string} The close reason
+ */
+function getCloseReason(action) {
+  return action === 'close' ? 'inactive' : 'duplicate';
+}
 
-// Update active tab's last access time periodically
-setInterval(async () => {
-  try {
-    const tabs = await browser.tabs.query({ active: true });
-    tabs.forEach(tab => updateTabActivity(tab.id));
-  } catch (error) {
-    console.error('Error updating active tab timestamps:', error);
+/**
+ * Checks whether a closed tab should be archived. A rule's own `archive`
+ * setting wins over the setting for the close reason.
+ * @param {Rule|null} rule - The rule that matched the tab
+ * @param {string} reason - Why the tab is closed ('inactive', 'duplicate', 'killed' or 'evicted')
+ * @param {Object} settings - Current settings
+ * @returns {boolean} Whether to archive the tab
+ */
+function shouldArchiveTab(rule, reason, settings) {
+  if (rule && typeof rule.archive === 'boolean') {
+    return rule.archive;
   }
-}, 60000); // Update every minute
+  return Boolean(settings[ARCHIVE_REASON_SETTINGS[reason]]);
+}
 
-// Check and close inactive tabs
 /**
- * Checks all tabs and closes them based on inactivity and duplicate rules
- * Handles both pattern-based rules and global duplicate settings
+ * Formats a date as YYYY-MM-DD in local time, the name of an archive folder
+ * @param {number} time - The time to format
+ * @returns {string} The folder name
  */
-async function checkInactiveTabs() {
-  try {
-    console.log('Starting inactive tabs check...');
-    // Load settings with defaults
-    const settings = await browser.storage.sync.get({
-      enabled: true,
-      timeLimit: 2,
-      defaultBehavior: 'duplicate-no-query',
-      showNotifications: true,
-      patterns: [
-        {
-          pattern: 'about:*',
-          action: 'keep',
-          isPreset: true
-        }
-      ]
-    });
+function formatArchiveDate(time) {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Finds a bookmarks folder by title, creating it when it doesn't exist
+ * @param {string} parentId - The folder to look in
+ * @param {string} title - The title of the folder
+ * @returns {Promise<browser.bookmarks.BookmarkTreeNode>} The folder
+ */
+async function findOrCreateFolder(parentId, title) {
+  const children = await browser.bookmarks.getChildren(parentId);
+  const existing = children.find(child => child.type === 'folder' && child.title === title);
+  return existing || browser.bookmarks.create({ parentId, title, type: 'folder' });
+}
+
+/**
+ * Files a tab into today's archive folder
+ * @param {browser.tabs.Tab} tab - The tab to archive
+ * @returns {Promise<void>} Resolves once the bookmark exists
+ */
+function archiveTab(tab) {
+  const task = archiveQueue.then(async () => {
+    const root = await findOrCreateFolder(OTHER_BOOKMARKS_ID, ARCHIVE_FOLDER_TITLE);
+    const folder = await findOrCreateFolder(root.id, formatArchiveDate(Date.now()));
+    await browser.bookmarks.create({ parentId: folder.id, title: tab.title || tab.url, url: tab.url });
+  });
+  archiveQueue = task.catch(() => {});
+  return task;
+}
+
+/**
+ * Archives a tab that is about to be closed, if archiving applies to it
+ * @param {browser.tabs.Tab} tab - The tab to close
+ * @param {Rule|null} rule - The rule that matched the tab
+ * @param {string} reason - Why the tab is closed
+ * @param {Object} settings - Current settings
+ * @returns {Promise<boolean>} False when the tab should be archived but couldn't be, so it should stay open
+ */
+async function archiveBeforeClose(tab, rule, reason, settings) {
+  if (!shouldArchiveTab(rule, reason, settings)) {
+    return true;
+  }
+  try {
+    await archiveTab(tab);
+    return true;
+  } catch (error) {
+    console.error(`Error archiving tab ${tab.id}, leaving it open:`, error);
+    return false;
+  }
+}
+
+/**
+ * Lists the dated archive folders, newest first
+ * @returns {Promise<Array<{id: string, title: string, count: number}>>} The folders and how many tabs each holds
+ */
+async function getArchiveFolders() {
+  const roots = await browser.bookmarks.getChildren(OTHER_BOOKMARKS_ID);
+  const root = roots.find(child => child.type === 'folder' && child.title === ARCHIVE_FOLDER_TITLE);
+  if (!root) {
+    return [];
+  }
+  const [tree] = await browser.bookmarks.getSubTree(root.id);
+  return (tree.children || [])
+    .filter(child => child.type === 'folder')
+    .map(folder => ({
+      id: folder.id,
+      title: folder.title,
+      count: (folder.children || []).filter(child => child.url).length
+    }))
+    .sort((a, b) => b.title.localeCompare(a.title));
+}
+
+/**
+ * Opens every tab in an archive folder. The bookmarks stay in the archive,
+ * so the tabs are not lost if they are closed again.
+ * @param {string} folderId - The archive folder
+ * @returns {Promise<number>} The number of opened tabs
+ */
+async function openArchiveFolder(folderId) {
+  const bookmarks = (await browser.bookmarks.getChildren(folderId)).filter(child => child.url);
+  let opened = 0;
+  for (const bookmark of bookmarks) {
+    try {
+      await browser.tabs.create({ url: bookmark.url, active: false });
+      opened++;
+    } catch (error) {
+      console.error(`Error opening archived tab ${bookmark.url}:`, error);
+    }
+  }
+  return opened;
+}
+
+/**
+ * @typedef {Object} IdlePeriod
+ * @property {number} start - When the system went idle or locked
+ * @property {number|null} end - When it became active again, null while still idle
+ */
+
+// Periods in which the system was idle or locked, oldest first
+let idlePeriods = [];
+
+// Seconds without input before the system counts as idle
+const IDLE_DETECTION_SECONDS = 60;
+
+// Idle periods older than this no longer matter for any tab
+const IDLE_PERIOD_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Starts or ends an idle period when the system state changes
+ * @param {('active'|'idle'|'locked')} state - The new system state
+ * @param {number} now - The current time in milliseconds
+ */
+function recordIdleState(state, now) {
+  const current = idlePeriods[idlePeriods.length - 1];
+  const isIdle = current && current.end === null;
+
+  if (state === 'active') {
+    if (isIdle) {
+      current.end = now;
+      console.log(`System active again after ${Math.round((now - current.start) / 60000)} idle minutes`);
+    }
+  } else if (!isIdle) {
+    // The idle state is only reported after the detection interval has passed
+    const start = state === 'idle' ? now - IDLE_DETECTION_SECONDS * 1000 : now;
+    idlePeriods.push({ start, end: null });
+    console.log(`System ${state} since:`, new Date(start).toISOString());
+  }
+
+  idlePeriods = idlePeriods.filter(period => period.end === null || now - period.end < IDLE_PERIOD_RETENTION_MS);
+  browser.storage.local.set({ idlePeriods }).catch(error => {
+    console.error('Error saving idle periods:', error);
+  });
+}
+
+/**
+ * Measures how much of a time span the system spent idle or locked
+ * @param {number} start - Start of the span in milliseconds
+ * @param {number} end - End of the span in milliseconds
+ * @returns {number} Idle milliseconds within the span
+ */
+function getIdleTimeBetween(start, end) {
+  return idlePeriods.reduce((total, period) => {
+    const overlapStart = Math.max(start, period.start);
+    const overlapEnd = Math.min(end, period.end === null ? end : period.end);
+    return total + Math.max(0, overlapEnd - overlapStart);
+  }, 0);
+}
+
+/**
+ * Measures the time elapsed since a moment, on the configured inactivity
+ * clock: wall clock time, or only the time the system was in use
+ * @param {number} since - The start of the span in milliseconds
+ * @param {number} now - The current time in milliseconds
+ * @param {Object} settings - Current settings
+ * @returns {number} The elapsed milliseconds
+ */
+function getElapsedTime(since, now, settings) {
+  const wallTime = now - since;
+  if (settings.inactivityClock === 'wall') {
+    return wallTime;
+  }
+  return wallTime - getIdleTimeBetween(since, now);
+}
+
+/**
+ * Loads saved idle periods and starts following the system idle state. An
+ * idle period still open from the last session ends now, so time the browser
+ * was closed while the system was idle does not count either.
+ */
+async function initializeIdleTracking() {
+  const { idlePeriods: saved = [] } = await browser.storage.local.get({ idlePeriods: [] });
+  idlePeriods = saved;
+  browser.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+  const state = await browser.idle.queryState(IDLE_DETECTION_SECONDS);
+  recordIdleState(state, Date.now());
+}
+
+browser.idle.onStateChanged.addListener(state => {
+  recordIdleState(state, Date.now());
+});
+
+// Protected tabs and when their protection ends (null means forever)
+const protectedTabs = new Map();
+
+// Key of the per-tab session value holding the protection
+const PROTECTION_KEY = 'protection';
+
+const PROTECTION_DURATIONS = ['1h', '4h', 'tomorrow', 'forever'];
+
+/**
+ * Works out when a protection of the given duration ends
+ * @param {('1h'|'4h'|'tomorrow'|'forever')} duration - The protection duration
+ * @param {number} now - The current time in milliseconds
+ * @returns {number|null} When the protection ends, or null for forever
+ */
+function getProtectionEnd(duration, now) {
+  switch (duration) {
+    case '1h':
+      return now + 60 * 60 * 1000;
+    case '4h':
+      return now + 4 * 60 * 60 * 1000;
+    case 'tomorrow': {
+      const tomorrow = new Date(now);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      tomorrow.setHours(8, 0, 0, 0);
+      return tomorrow.getTime();
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Protects a tab from being closed or unloaded. The protection is stored as a
+ * session value on the tab, so it survives browser restarts.
+ * @param {number} tabId - The ID of the tab to protect
+ * @param {('1h'|'4h'|'tomorrow'|'forever')} duration - How long to protect the tab
+ */
+async function protectTab(tabId, duration) {
+  if (!PROTECTION_DURATIONS.includes(duration)) {
+    throw new Error(`Unknown protection duration: ${duration}`);
+  }
+  const until = getProtectionEnd(duration, Date.now());
+  protectedTabs.set(tabId, until);
+  await browser.sessions.setTabValue(tabId, PROTECTION_KEY, { until });
+  console.log(`Protected tab ${tabId} until:`, until ? new Date(until).toISOString() : 'forever');
+}
+
+/**
+ * Removes the protection from a tab
+ * @param {number} tabId - The ID of the tab
+ */
+async function unprotectTab(tabId) {
+  protectedTabs.delete(tabId);
+  try {
+    await browser.sessions.removeTabValue(tabId, PROTECTION_KEY);
+  } catch (e) {
+    // The tab may already be gone
+  }
+  console.log(`Removed protection from tab ${tabId}`);
+}
+
+/**
+ * Protects an unprotected tab forever, or removes the protection
+ * @param {number} tabId - The ID of the tab
+ * @returns {Promise<boolean>} Whether the tab is protected afterwards
+ */
+async function toggleTabProtection(tabId) {
+  if (isTabProtected(tabId, Date.now())) {
+    await unprotectTab(tabId);
+    return false;
+  }
+  await protectTab(tabId, 'forever');
+  return true;
+}
+
+/**
+ * Checks whether a tab is protected, dropping protections that have ended
+ * @param {number} tabId - The ID of the tab
+ * @param {number} now - The current time in milliseconds
+ * @returns {boolean} Whether the tab is protected
+ */
+function isTabProtected(tabId, now) {
+  if (!protectedTabs.has(tabId)) {
+    return false;
+  }
+  const until = protectedTabs.get(tabId);
+  if (until !== null && until <= now) {
+    unprotectTab(tabId);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Reads the protection stored on a tab into memory
+ * @param {browser.tabs.Tab} tab - The tab to load the protection for
+ */
+async function loadTabProtection(tab) {
+  try {
+    const protection = await browser.sessions.getTabValue(tab.id, PROTECTION_KEY);
+    if (protection) {
+      protectedTabs.set(tab.id, protection.until);
+      isTabProtected(tab.id, Date.now());
+    }
+  } catch (e) {
+    console.error('Error loading tab protection:', tab.id, e);
+  }
+}
+
+/**
+ * Lists the protected tabs for the popup
+ * @returns {Promise<Array<{tabId: number, title: string, url: string, until: (number|null)}>>} The protected tabs
+ */
+async function getProtectedTabs() {
+  const now = Date.now();
+  const result = [];
+  for (const tabId of Array.from(protectedTabs.keys())) {
+    if (!isTabProtected(tabId, now)) continue;
+    try {
+      const tab = await browser.tabs.get(tabId);
+      result.push({ tabId, title: tab.title || tab.url, url: tab.url, until: protectedTabs.get(tabId) });
+    } catch (e) {
+      protectedTabs.delete(tabId);
+    }
+  }
+  return result;
+}
+
+// Key of the per-tab session value holding when the tab was unloaded
+const DISCARDED_AT_KEY = 'discardedAt';
+
+// When each unloaded tab was unloaded, by tab ID. Covers tabs unloaded by
+// this extension, by other extensions and by Firefox itself.
+const discardedTabs = new Map();
+
+/**
+ * Records when a tab was unloaded. The time is stored as a session value on
+ * the tab, so it survives browser restarts.
+ * @param {number} tabId - The ID of the unloaded tab
+ * @param {number} discardedAt - When the tab was unloaded
+ */
+async function recordTabDiscarded(tabId, discardedAt) {
+  if (discardedTabs.has(tabId)) return;
+  discardedTabs.set(tabId, discardedAt);
+  try {
+    await browser.sessions.setTabValue(tabId, DISCARDED_AT_KEY, discardedAt);
+  } catch (e) {
+    console.error('Error recording unloaded tab:', tabId, e);
+  }
+}
+
+/**
+ * Forgets when a tab was unloaded, once it is loaded again
+ * @param {number} tabId - The ID of the loaded tab
+ */
+async function forgetTabDiscarded(tabId) {
+  if (!discardedTabs.delete(tabId)) return;
+  try {
+    await browser.sessions.removeTabValue(tabId, DISCARDED_AT_KEY);
+  } catch (e) {
+    // The tab may already be gone
+  }
+}
+
+/**
+ * Reads when a tab was unloaded into memory. Unloaded tabs without a stored
+ * time were unloaded while the extension was not watching and count from now.
+ * @param {browser.tabs.Tab} tab - The tab to load the unload time for
+ */
+async function loadTabDiscardedAt(tab) {
+  try {
+    const discardedAt = await browser.sessions.getTabValue(tab.id, DISCARDED_AT_KEY);
+    if (tab.discarded) {
+      if (discardedAt) {
+        discardedTabs.set(tab.id, discardedAt);
+      } else {
+        await recordTabDiscarded(tab.id, Date.now());
+      }
+    } else if (discardedAt) {
+      await browser.sessions.removeTabValue(tab.id, DISCARDED_AT_KEY);
+    }
+  } catch (e) {
+    console.error('Error loading unload time:', tab.id, e);
+  }
+}
+
+/**
+ * Initializes activity tracking for all existing tabs from the persisted
+ * last access times
+ */
+async function initializeTabActivity() {
+  console.log('Initializing tab activity...');
+  const { tabActivity: savedRecords = [] } = await browser.storage.local.get({ tabActivity: [] });
+  pendingActivityRecords = savedRecords;
+
+  const tabs = await browser.tabs.query({});
+  const currentTime = Date.now();
+  
+  tabs.forEach(tab => {
+    seedTabActivity(tab, currentTime);
+  });
+  await Promise.all(tabs.map(loadTabProtection));
+  await Promise.all(tabs.map(loadTabDiscardedAt));
+
+  await saveTabActivity();
+  console.log(`Tab activity initialized, ${pendingActivityRecords.length} saved records unmatched`);
+
+  // Records still unmatched by now belong to tabs that are gone for good
+  setTimeout(() => {
+    pendingActivityRecords = [];
+    scheduleActivitySave();
+  }, PENDING_ACTIVITY_TTL_MS);
+}
+
+/**
+ * @typedef {Object} BusySignals
+ * @property {boolean} editedForm - A form field was changed and not submitted
+ * @property {boolean} playingMedia - Audio or video with sound is playing
+ */
+
+// Signals reported by the content script, keyed by tab ID and then frame ID
+const tabSignals = new Map();
+
+// Requests uploading files or form data that have not finished, by tab ID
+const tabUploads = new Map();
+
+// Request bodies at least this large count as uploads
+const UPLOAD_MIN_BYTES = 64 * 1024;
+
+// Methods that send a request body
+const UPLOAD_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * Checks whether a request sends files, form data or a large body, from its
+ * method and headers only. Small bodies, like the JSON of API calls and long
+ * polls, don't count.
+ * @param {Object} details - The webRequest details with the request headers
+ * @returns {boolean} Whether the request is an upload
+ */
+function isUploadRequest(details) {
+  if (!UPLOAD_METHODS.includes(details.method)) return false;
+  const headers = new Map((details.requestHeaders || []).map(header =>
+    [header.name.toLowerCase(), header.value || '']));
+  if ((headers.get('content-type') || '').startsWith('multipart/form-data')) return true;
+  return Number(headers.get('content-length')) >= UPLOAD_MIN_BYTES;
+}
+
+/**
+ * Stops counting a request as a pending upload
+ * @param {Object} details - The webRequest details of the finished request
+ */
+function finishUpload(details) {
+  const uploads = tabUploads.get(details.tabId);
+  if (uploads && uploads.delete(details.requestId) && uploads.size === 0) {
+    tabUploads.delete(details.tabId);
+  }
+}
+
+/**
+ * Stores the busy signals a frame reported
+ * @param {number} tabId - The tab the frame is in
+ * @param {number} frameId - The frame that reported
+ * @param {BusySignals} signals - The reported signals
+ */
+function recordBusySignals(tabId, frameId, signals) {
+  if (!tabSignals.has(tabId)) {
+    tabSignals.set(tabId, new Map());
+  }
+  tabSignals.get(tabId).set(frameId, signals);
+}
+
+/**
+ * Lists why a tab is busy and should not be closed or unloaded
+ * @param {browser.tabs.Tab} tab - The tab to check
+ * @returns {string[]} The reasons, empty when the tab is not busy
+ */
+function getBusyReasons(tab) {
+  const reasons = new Set();
+  const muted = Boolean(tab.mutedInfo && tab.mutedInfo.muted);
+  if (tab.audible && !muted) {
+    reasons.add('Playing sound');
+  }
+  const sharing = tab.sharingState || {};
+  if (sharing.camera || sharing.microphone || sharing.screen) {
+    reasons.add('Sharing camera, microphone or screen');
+  }
+
+  (tabSignals.get(tab.id) || new Map()).forEach(signals => {
+    if (signals.editedForm) reasons.add('Unsaved form input');
+    if (signals.playingMedia) reasons.add(muted ? 'Playing media (tab muted)' : 'Playing media');
+  });
+  if (tabUploads.has(tab.id)) {
+    reasons.add('Upload in progress');
+  }
+  return Array.from(reasons);
+}
+
+/**
+ * Checks whether a tab is busy
+ * @param {browser.tabs.Tab} tab - The tab to check
+ * @returns {boolean} Whether the tab should be left alone
+ */
+function isTabBusy(tab) {
+  return getBusyReasons(tab).length > 0;
+}
+
+/**
+ * @typedef {('keep'|'close'|'unload'|'duplicate'|'duplicate-no-query'|'duplicate-domain'|'quota-close'|'quota-unload')} RuleAction
+ */
+
+/**
+ * @typedef {Object} RuleConditions
+ * @property {string} [url] - Pattern matched against the full URL
+ * @property {string} [host] - Pattern matched against the hostname
+ * @property {string} [path] - Pattern matched against the path
+ * @property {string} [title] - Pattern matched against the tab title
+ * @property {boolean} [audible] - Whether the tab must (not) be playing sound
+ * @property {boolean} [pinned] - Whether the tab must (not) be pinned
+ * @property {number} [windowId] - The window the tab must be in
+ * @property {string} [container] - The cookie store ID, or a pattern for the name, of the container the tab must be in
+ * @property {number} [minTabAge] - Minutes since the tab was opened
+ * @property {number} [minInactive] - Minutes since the tab was last used
+ */
+
+/**
+ * @typedef {Object} Rule
+ * @property {string} id - Unique identifier of the rule
+ * @property {number} priority - Evaluation order, lower numbers first
+ * @property {boolean} [enabled] - Set to false to skip the rule
+ * @property {RuleConditions} conditions - All conditions must hold for the rule to match
+ * @property {RuleAction} action - Action to take for matching tabs
+ * @property {number} [closeAfter] - Minutes of inactivity before closing, overrides `timeLimit`
+ * @property {number} [unloadAfter] - Minutes of inactivity before unloading, overrides the `unloadTimeout` sweep
+ * @property {number} [killAfter] - Minutes a tab stays unloaded before auto-kill closes it, overrides `killUnloadedAfterHours`
+ * @property {number} [quota] - For quota actions, how many matching tabs each domain may have (default 1)
+ * @property {('site'|'host')} [quotaScope] - For quota actions, whether tabs are counted per registrable
+ *   domain including its subdomains (default) or per host name
+ * @property {string} [ruleSet] - Only apply the rule while a schedule enabling this rule set is active
+ * @property {boolean} [archive] - Whether to bookmark matching tabs before closing them, overrides the archive settings
+ * @property {boolean} [isPreset] - Whether the rule ships with the extension
+ */
+
+/**
+ * @typedef {Object} RuleContext
+ * @property {number} now - The current time in milliseconds
+ * @property {number} lastAccess - When the tab was last used
+ * @property {number} openedAt - When the tab was opened
+ */
+
+/**
+ * @typedef {Object} Settings
+ * @property {boolean} enabled - Whether the extension is enabled
+ * @property {number} timeLimit - Inactivity time limit in minutes
+ * @property {number} unloadTimeout - Unload interval in minutes
+ * @property {string} defaultBehavior - Default behavior for inactive tabs
+ * @property {boolean} showNotifications - Whether to show notifications
+ * @property {boolean} autoKillUnloaded - Whether to close tabs that stay unloaded
+ * @property {number} killUnloadedAfterHours - Hours a tab stays unloaded before auto-kill closes it
+ * @property {number} maxTabs - Cap on open tabs, 0 for no cap
+ * @property {number} maxTabsPerWindow - Cap on open tabs per window, 0 for no cap
+ * @property {('unload'|'close')} tabCapAction - What to do with tabs over the cap
+ * @property {('sweep'|'budget')} unloadMode - How tabs are unloaded
+ * @property {number} loadedTabBudget - Number of tabs kept loaded in budget mode
+ * @property {('window'|'total')} loadedTabBudgetScope - Whether the budget is per window
+ * @property {('active'|'wall')} inactivityClock - Whether idle time counts as inactivity
+ * @property {boolean} duplicatesAcrossContainers - Whether tabs in different containers can be duplicates
+ * @property {UrlNormalization} urlNormalization - How URLs are compared to find duplicates
+ * @property {('off'|'switch'|'ask')} instantDuplicates - What to do when a page that is already open is opened again
+ * @property {boolean} archiveInactive - Whether to bookmark tabs closed for inactivity
+ * @property {boolean} archiveDuplicates - Whether to bookmark tabs closed as duplicates
+ * @property {boolean} archiveKilled - Whether to bookmark unloaded tabs closed by auto-kill
+ * @property {boolean} archiveEvicted - Whether to bookmark tabs closed to stay under the tab cap or a quota
+ * @property {number} historyMaxEntries - Number of history entries to keep
+ * @property {number} historyMaxAgeDays - Days to keep history entries, 0 to keep them until the count is reached
+ * @property {Schedule[]} schedules - Schedules that change the settings by time of day
+ * @property {TimeWindow & {enabled: boolean}} quietHours - When nothing is closed
+ * @property {Rule[]} rules - Rules deciding what happens to matching tabs
+ */
+
+// Default settings from config.json, loaded once
+let defaultSettingsPromise = null;
+
+/**
+ * Loads the settings used when nothing has been saved yet from config.json
+ * @returns {Promise<Settings>} The default settings
+ */
+function getDefaultSettings() {
+  if (!defaultSettingsPromise) {
+    defaultSettingsPromise = fetch(browser.runtime.getURL('config.json'))
+      .then(response => response.json())
+      .then(config => config.defaults)
+      .catch(error => {
+        defaultSettingsPromise = null;
+        throw error;
+      });
+  }
+  return defaultSettingsPromise;
+}
+
+// Maps the default behavior setting onto a rule action
+const DEFAULT_BEHAVIOR_ACTIONS = {
+  'duplicate': 'duplicate',
+  'duplicate-no-query': 'duplicate-no-query',
+  'duplicate-domain': 'duplicate-domain',
+  'always': 'close',
+  'never': 'keep'
+};
+
+/**
+ * @typedef {Object} TimeWindow
+ * @property {number[]} days - Days of the week the window starts on, 0 is Sunday
+ * @property {string} start - Start time as HH:MM
+ * @property {string} end - End time as HH:MM, before the start for windows past midnight
+ */
+
+/**
+ * @typedef {Object} ScheduleOverrides
+ * @property {boolean} [enabled] - Turn the extension on or off
+ * @property {string} [defaultBehavior] - Default behavior while the schedule is active
+ * @property {number} [timeLimit] - Inactivity time limit in minutes
+ * @property {number} [unloadTimeout] - Unload interval in minutes
+ * @property {string[]} [ruleSets] - Rule sets to apply while the schedule is active
+ */
+
+/**
+ * @typedef {TimeWindow} Schedule
+ * @property {string} id - Unique identifier of the schedule
+ * @property {string} name - Name shown in the popup
+ * @property {ScheduleOverrides} overrides - Settings that change while the schedule is active
+ */
+
+/**
+ * Converts an HH:MM time into minutes since midnight
+ * @param {string} time - The time to convert
+ * @returns {number} Minutes since midnight
+ */
+function parseTimeOfDay(time) {
+  const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * Checks whether a time window covers a moment. Windows whose end is before
+ * their start run past midnight into the next day.
+ * @param {TimeWindow} window - The time window
+ * @param {Date} date - The moment to check
+ * @returns {boolean} Whether the window is active
+ */
+function isTimeWindowActive(window, date) {
+  const days = window.days || [];
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const start = parseTimeOfDay(window.start);
+  const end = parseTimeOfDay(window.end);
+
+  if (start === end) {
+    return days.includes(day);
+  }
+  if (start < end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+  return (days.includes(day) && minutes >= start) ||
+    (days.includes((day + 6) % 7) && minutes < end);
+}
+
+/**
+ * Finds the schedule in effect, the first active one in list order wins
+ * @param {Schedule[]} schedules - The configured schedules
+ * @param {Date} date - The moment to check
+ * @returns {Schedule|null} The active schedule
+ */
+function getActiveSchedule(schedules, date) {
+  return (schedules || []).find(schedule => isTimeWindowActive(schedule, date)) || null;
+}
+
+/**
+ * Applies the active schedule and quiet hours on top of the stored settings
+ * @param {Object} settings - The stored settings
+ * @param {number} now - The current time in milliseconds
+ * @returns {Object} The settings in effect, with `activeSchedule` and `quiet` added
+ */
+function applySchedules(settings, now) {
+  const date = new Date(now);
+  const activeSchedule = getActiveSchedule(settings.schedules, date);
+  const overrides = (activeSchedule && activeSchedule.overrides) || {};
+  const quiet = Boolean(settings.quietHours && settings.quietHours.enabled &&
+    isTimeWindowActive(settings.quietHours, date));
+  const activeRuleSets = overrides.ruleSets || [];
+
+  const effective = { ...settings };
+  ['enabled', 'defaultBehavior', 'timeLimit', 'unloadTimeout'].forEach(key => {
+    if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+      effective[key] = overrides[key];
+    }
+  });
+  effective.rules = (settings.rules || []).filter(rule => !rule.ruleSet || activeRuleSets.includes(rule.ruleSet));
+  effective.activeSchedule = activeSchedule;
+  effective.quiet = quiet;
+  if (quiet) {
+    effective.showNotifications = false;
+  }
+  return effective;
+}
+
+/**
+ * Finds the next moment the active schedule or quiet hours change, looking
+ * up to a week ahead
+ * @param {Object} settings - The stored settings
+ * @param {number} now - The current time in milliseconds
+ * @returns {{at: number, schedule: (Schedule|null), quiet: boolean}|null} The next change
+ */
+function getNextScheduleChange(settings, now) {
+  const current = applySchedules(settings, now);
+  const start = new Date(now);
+  start.setSeconds(0, 0);
+
+  for (let minute = 1; minute <= 7 * 24 * 60; minute++) {
+    const at = start.getTime() + minute * 60 * 1000;
+    const next = applySchedules(settings, at);
+    const scheduleChanged = (next.activeSchedule && next.activeSchedule.id) !==
+      (current.activeSchedule && current.activeSchedule.id);
+    if (scheduleChanged || next.quiet !== current.quiet) {
+      return { at, schedule: next.activeSchedule, quiet: next.quiet };
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads the settings in effect right now from storage, filling in defaults
+ * and applying the active schedule and quiet hours
+ * @returns {Promise<Object>} The current settings
+ */
+async function loadSettings() {
+  return applySchedules(await getSettings(), Date.now());
+}
+
+/**
+ * Describes the schedule in effect for the popup
+ * @returns {Promise<{schedule: (string|null), quiet: boolean, next: ({at: number, schedule: (string|null), quiet: boolean}|null)}>} The schedule status
+ */
+async function getScheduleStatus() {
+  const stored = await getSettings();
+  const now = Date.now();
+  const current = applySchedules(stored, now);
+  const next = getNextScheduleChange(stored, now);
+  return {
+    schedule: current.activeSchedule ? current.activeSchedule.name : null,
+    quiet: current.quiet,
+    next: next && {
+      at: next.at,
+      schedule: next.schedule ? next.schedule.name : null,
+      quiet: next.quiet
+    }
+  };
+}
+
+// Version of the settings layout, bump it and add a migration when the layout changes
+const SETTINGS_VERSION = 2;
+
+// Identifies exported settings documents
+const SETTINGS_FORMAT = 'auto-tab-kill-settings';
+
+/**
+ * Upgrades settings from the original layout, where the popup stored
+ * `patterns` and the options page stored a `whitelist` of hosts, to rules
+ * @param {Object} settings - Settings in the version 1 layout
+ * @param {Settings} defaults - The default settings
+ * @returns {Object} Settings in the version 2 layout
+ */
+function migrateSettingsV1(settings, defaults) {
+  const { patterns, whitelist, ...migrated } = settings;
+  if (patterns || whitelist) {
+    const rules = migrated.rules || defaults.rules.slice();
+    const whitelistRules = (whitelist || []).map(pattern => ({
+      id: createId(),
+      conditions: { host: pattern },
+      action: 'keep'
+    }));
+    const patternRules = (patterns || [])
+      .filter(pattern => !pattern.isPreset && pattern.pattern)
+      .map(pattern => ({
+        id: createId(),
+        conditions: { url: pattern.pattern },
+        action: pattern.action
+      }));
+    migrated.rules = rules.concat(whitelistRules, patternRules)
+      .map((rule, i) => ({ ...rule, priority: i * 10 }));
+  }
+
+  // The options page used to save the time limits as strings
+  ['timeLimit', 'unloadTimeout'].forEach(key => {
+    if (typeof migrated[key] === 'string' && /^\d+$/.test(migrated[key].trim())) {
+      migrated[key] = parseInt(migrated[key], 10);
+    }
+  });
+  return migrated;
+}
+
+// Migrations indexed by the version they upgrade from
+const SETTINGS_MIGRATIONS = {
+  1: migrateSettingsV1
+};
+
+/**
+ * Runs the migrations needed to bring settings up to the current version
+ * @param {Object} settings - The settings to upgrade
+ * @param {number} version - The layout version of the settings
+ * @param {Settings} defaults - The default settings
+ * @returns {Object} The upgraded settings
+ */
+function migrateSettings(settings, version, defaults) {
+  let migrated = settings;
+  for (let from = version; from < SETTINGS_VERSION; from++) {
+    migrated = SETTINGS_MIGRATIONS[from](migrated, defaults);
+  }
+  return migrated;
+}
+
+// Each rule is its own storage.sync item, so rules edited on different
+// devices at the same time merge instead of overwriting each other
+const RULE_KEY_PREFIX = 'rule:';
+
+// Where the rules live when they don't fit in storage.sync
+const LOCAL_RULES_KEY = 'localRules';
+
+// Limits Firefox places on storage.sync
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const SYNC_MAX_ITEMS = 512;
+
+/**
+ * Measures a storage item the way the sync quota counts it
+ * @param {string} key - The key of the item
+ * @param {*} value - The value of the item
+ * @returns {number} The size in bytes
+ */
+function getItemSize(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Checks whether storage.sync can take new items
+ * @param {Object} stored - Everything in storage.sync now
+ * @param {Object} items - Items about to be written
+ * @param {string[]} removedKeys - Keys about to be removed
+ * @returns {(string|null)} Why the items don't fit, or null when they do
+ */
+function getSyncQuotaProblem(stored, items, removedKeys) {
+  const oversized = Object.keys(items).find(key => getItemSize(key, items[key]) > SYNC_QUOTA_BYTES_PER_ITEM);
+  if (oversized) {
+    return `"${oversized}" is larger than the ${SYNC_QUOTA_BYTES_PER_ITEM / 1024} KB sync storage allows per item`;
+  }
+
+  const result = { ...stored, ...items };
+  removedKeys.forEach(key => delete result[key]);
+  const keys = Object.keys(result);
+  if (keys.length > SYNC_MAX_ITEMS) {
+    return `${keys.length} items are more than the ${SYNC_MAX_ITEMS} sync storage allows`;
+  }
+  const bytes = keys.reduce((total, key) => total + getItemSize(key, result[key]), 0);
+  if (bytes > SYNC_QUOTA_BYTES) {
+    return `${Math.ceil(bytes / 1024)} KB is more than the ${SYNC_QUOTA_BYTES / 1024} KB sync storage allows`;
+  }
+  return null;
+}
+
+/**
+ * Reads the settings in storage.sync, putting the rules back together
+ * @returns {Promise<Object>} The stored settings
+ */
+async function readStoredSettings() {
+  const stored = await browser.storage.sync.get(null);
+  const settings = {};
+  const rules = [];
+  Object.keys(stored).forEach(key => {
+    if (key.startsWith(RULE_KEY_PREFIX)) {
+      rules.push(stored[key]);
+    } else {
+      settings[key] = stored[key];
+    }
+  });
+  if (rules.length > 0) {
+    settings.rules = rules.sort((a, b) => (a.priority || 0) - (b.priority || 0));
+  }
+
+  const { [LOCAL_RULES_KEY]: localRules } = await browser.storage.local.get(LOCAL_RULES_KEY);
+  if (localRules) {
+    settings.rules = localRules.rules;
+  }
+  return settings;
+}
+
+/**
+ * Saves the rules to storage.sync, one item per rule. Rules that don't fit
+ * are kept in storage.local on this device until they fit again.
+ * @param {Rule[]} rules - All rules
+ * @returns {Promise<(string|null)>} Why the rules were saved locally, or null when they synced
+ */
+async function saveRules(rules) {
+  const stored = await browser.storage.sync.get(null);
+  const items = {};
+  rules.forEach(rule => {
+    items[RULE_KEY_PREFIX + rule.id] = rule;
+  });
+  // Rules used to be saved as a single item
+  const removedKeys = Object.keys(stored)
+    .filter(key => key === 'rules' || (key.startsWith(RULE_KEY_PREFIX) && !items[key]));
+
+  const problem = getSyncQuotaProblem(stored, items, removedKeys);
+  if (problem) {
+    await browser.storage.local.set({ [LOCAL_RULES_KEY]: { rules, reason: problem } });
+    console.log(`Rules saved on this device only: ${problem}`);
+    return problem;
+  }
+
+  // Only write the rules that changed, leaving other devices' edits alone
+  const changed = {};
+  Object.keys(items).forEach(key => {
+    if (JSON.stringify(stored[key]) !== JSON.stringify(items[key])) {
+      changed[key] = items[key];
+    }
+  });
+  if (Object.keys(changed).length > 0) {
+    await browser.storage.sync.set(changed);
+  }
+  if (removedKeys.length > 0) {
+    await browser.storage.sync.remove(removedKeys);
+  }
+  await browser.storage.local.remove(LOCAL_RULES_KEY);
+  return null;
+}
+
+/**
+ * Writes settings to storage, with the rules split into their own items
+ * @param {Object} settings - The settings to write
+ * @returns {Promise<(string|null)>} Why the rules were saved locally, or null when everything synced
+ */
+async function writeSettings(settings) {
+  const { rules, ...other } = settings;
+  if (Object.keys(other).length > 0) {
+    await browser.storage.sync.set(other);
+  }
+  return rules ? saveRules(rules) : null;
+}
+
+/**
+ * Tells the popup whether the rules are kept on this device only
+ * @returns {Promise<{rulesStoredLocally: boolean, reason: (string|null)}>} Where the rules are stored
+ */
+async function getStorageStatus() {
+  const { [LOCAL_RULES_KEY]: localRules } = await browser.storage.local.get(LOCAL_RULES_KEY);
+  return {
+    rulesStoredLocally: Boolean(localRules),
+    reason: localRules ? localRules.reason : null
+  };
+}
+
+/**
+ * Upgrades the settings in storage.sync to the current layout
+ */
+async function migrateStoredSettings() {
+  const { settingsVersion, ...settings } = await readStoredSettings();
+  const version = settingsVersion || 1;
+  const { rules: legacyRules } = await browser.storage.sync.get('rules');
+  if (version >= SETTINGS_VERSION && !legacyRules) {
+    return;
+  }
+
+  const migrated = migrateSettings(settings, version, await getDefaultSettings());
+  const removed = Object.keys(settings).filter(key => !(key in migrated));
+
+  await writeSettings({ ...migrated, settingsVersion: SETTINGS_VERSION });
+  if (removed.length > 0) {
+    await browser.storage.sync.remove(removed);
+  }
+  console.log(`Migrated settings from version ${version} to ${SETTINGS_VERSION}`);
+}
+
+const PATTERN_SCHEMA = { type: 'pattern' };
+const MINUTES_SCHEMA = { type: 'integer', min: 1 };
+const DAYS_SCHEMA = { type: 'array', items: { type: 'integer', min: 0, max: 6 } };
+
+const RULE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'conditions', 'action'],
+  properties: {
+    id: { type: 'string' },
+    priority: { type: 'integer', min: 0 },
+    enabled: { type: 'boolean' },
+    conditions: {
+      type: 'object',
+      properties: {
+        url: PATTERN_SCHEMA,
+        host: PATTERN_SCHEMA,
+        path: PATTERN_SCHEMA,
+        title: PATTERN_SCHEMA,
+        audible: { type: 'boolean' },
+        pinned: { type: 'boolean' },
+        windowId: { type: 'integer' },
+        container: { type: 'string' },
+        minTabAge: { type: 'integer', min: 0 },
+        minInactive: { type: 'integer', min: 0 }
+      }
+    },
+    action: {
+      type: 'enum',
+      values: ['keep', 'close', 'unload', 'duplicate', 'duplicate-no-query', 'duplicate-domain', 'quota-close', 'quota-unload']
+    },
+    closeAfter: MINUTES_SCHEMA,
+    unloadAfter: MINUTES_SCHEMA,
+    killAfter: MINUTES_SCHEMA,
+    quota: { type: 'integer', min: 1 },
+    quotaScope: { type: 'enum', values: ['site', 'host'] },
+    ruleSet: { type: 'string' },
+    archive: { type: 'boolean' },
+    isPreset: { type: 'boolean' }
+  }
+};
+
+const SCHEDULE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'days', 'start', 'end'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    days: DAYS_SCHEMA,
+    start: { type: 'time' },
+    end: { type: 'time' },
+    overrides: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        defaultBehavior: { type: 'enum', values: Object.keys(DEFAULT_BEHAVIOR_ACTIONS) },
+        timeLimit: MINUTES_SCHEMA,
+        unloadTimeout: MINUTES_SCHEMA,
+        ruleSets: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+// Shape of every setting, keep in sync with the defaults in config.json
+const SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    timeLimit: MINUTES_SCHEMA,
+    unloadTimeout: MINUTES_SCHEMA,
+    defaultBehavior: { type: 'enum', values: Object.keys(DEFAULT_BEHAVIOR_ACTIONS) },
+    showNotifications: { type: 'boolean' },
+    autoKillUnloaded: { type: 'boolean' },
+    killUnloadedAfterHours: { type: 'integer', min: 1 },
+    maxTabs: { type: 'integer', min: 0 },
+    maxTabsPerWindow: { type: 'integer', min: 0 },
+    tabCapAction: { type: 'enum', values: ['unload', 'close'] },
+    unloadMode: { type: 'enum', values: ['sweep', 'budget'] },
+    loadedTabBudget: { type: 'integer', min: 1 },
+    loadedTabBudgetScope: { type: 'enum', values: ['window', 'total'] },
+    inactivityClock: { type: 'enum', values: ['active', 'wall'] },
+    duplicatesAcrossContainers: { type: 'boolean' },
+    instantDuplicates: { type: 'enum', values: ['off', 'switch', 'ask'] },
+    urlNormalization: {
+      type: 'object',
+      required: ['stripTrackingParams', 'ignoreFragment', 'ignoreScheme', 'ignoreWww', 'ignoreTrailingSlash', 'sortParams', 'significantParams'],
+      properties: {
+        stripTrackingParams: { type: 'boolean' },
+        ignoreFragment: { type: 'boolean' },
+        ignoreScheme: { type: 'boolean' },
+        ignoreWww: { type: 'boolean' },
+        ignoreTrailingSlash: { type: 'boolean' },
+        sortParams: { type: 'boolean' },
+        significantParams: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['domain', 'params'],
+            properties: {
+              domain: { type: 'string' },
+              params: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      }
+    },
+    archiveInactive: { type: 'boolean' },
+    archiveDuplicates: { type: 'boolean' },
+    archiveKilled: { type: 'boolean' },
+    archiveEvicted: { type: 'boolean' },
+    historyMaxEntries: { type: 'integer', min: 10 },
+    historyMaxAgeDays: { type: 'integer', min: 0 },
+    schedules: { type: 'array', items: SCHEDULE_SCHEMA },
+    quietHours: {
+      type: 'object',
+      required: ['enabled', 'days', 'start', 'end'],
+      properties: {
+        enabled: { type: 'boolean' },
+        days: DAYS_SCHEMA,
+        start: { type: 'time' },
+        end: { type: 'time' }
+      }
+    },
+    rules: { type: 'array', items: RULE_SCHEMA }
+  }
+};
+
+/**
+ * Checks a value against a schema and collects an error for every field
+ * that does not match
+ * @param {*} value - The value to check
+ * @param {Object} schema - The schema to check against
+ * @param {string} path - Where the value is, used in error messages
+ * @param {string[]} errors - Array the errors are added to
+ */
+function validateValue(value, schema, path, errors) {
+  switch (schema.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path}: must be true or false`);
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path}: must be a string`);
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        errors.push(`${path}: must be a whole number`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${path}: must be at least ${schema.min}`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${path}: must be at most ${schema.max}`);
+      }
+      break;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.values.join(', ')}`);
+      }
+      break;
+    case 'time':
+      if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+        errors.push(`${path}: must be a time as HH:MM`);
+      }
+      break;
+    case 'pattern':
+      if (typeof value !== 'string') {
+        errors.push(`${path}: must be a string`);
+        break;
+      }
+      try {
+        compilePattern(value);
+      } catch (error) {
+        errors.push(`${path}: invalid regular expression (${error.message})`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: must be a list`);
+        break;
+      }
+      value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+      break;
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors.push(`${path || 'settings'}: must be an object`);
+        break;
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+        }
+      });
+      Object.keys(value).forEach(key => {
+        const keyPath = path ? `${path}.${key}` : key;
+        if (!schema.properties[key]) {
+          errors.push(`${keyPath}: unknown setting`);
+        } else if (value[key] !== undefined) {
+          validateValue(value[key], schema.properties[key], keyPath, errors);
+        }
+      });
+      break;
+  }
+}
+
+/**
+ * Checks settings against the settings schema
+ * @param {Object} settings - The settings to check
+ * @returns {string[]} One error per invalid field, empty when the settings are valid
+ */
+function validateSettings(settings) {
+  const errors = [];
+  validateValue(settings, SETTINGS_SCHEMA, '', errors);
+  return errors;
+}
+
+/**
+ * Exports the full configuration as a versioned document
+ * @returns {Promise<Object>} The settings document
+ */
+async function exportSettings() {
+  const settings = await getSettings();
+  return {
+    format: SETTINGS_FORMAT,
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings
+  };
+}
+
+/**
+ * Imports a settings document, upgrading it from older versions first.
+ * Settings missing from the document are reset to their defaults. Plain
+ * settings objects without the document wrapper are read as version 1.
+ * @param {Object} data - The settings document to import
+ * @returns {Promise<{imported: boolean, errors: string[], warning: (string|null)}>} Whether the settings were imported, and why not
+ */
+async function importSettings(data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { imported: false, errors: ['Not an Auto Tab Kill settings file'] };
+  }
+  const wrapped = data.format === SETTINGS_FORMAT;
+  const version = wrapped ? data.version : 1;
+  if (!Number.isInteger(version) || version < 1) {
+    return { imported: false, errors: ['version: must be a whole number of at least 1'] };
+  }
+  if (version > SETTINGS_VERSION) {
+    return {
+      imported: false,
+      errors: [`version: ${version} was exported by a newer version of the extension`]
+    };
+  }
+
+  const defaults = await getDefaultSettings();
+  const settings = migrateSettings(wrapped ? data.settings || {} : data, version, defaults);
+  const errors = validateSettings(settings);
+  if (errors.length > 0) {
+    return { imported: false, errors };
+  }
+
+  const warning = await writeSettings({ ...defaults, ...settings, settingsVersion: SETTINGS_VERSION });
+  console.log(`Imported settings from version ${version}`);
+  return { imported: true, errors: [], warning };
+}
+
+// Saved settings merged with the defaults, cleared whenever storage.sync changes
+let settingsCache = null;
+
+/**
+ * Reads all settings as saved by the user, with defaults for anything not
+ * saved. Schedules and quiet hours are not applied, use loadSettings() for
+ * the settings in effect right now.
+ * @returns {Promise<Settings>} The settings
+ */
+async function getSettings() {
+  if (!settingsCache) {
+    const defaults = await getDefaultSettings();
+    const stored = await readStoredSettings();
+    settingsCache = {};
+    Object.keys(defaults).forEach(key => {
+      settingsCache[key] = key in stored ? stored[key] : defaults[key];
+    });
+  }
+  // Hand out a copy so callers can't change the cached settings
+  return JSON.parse(JSON.stringify(settingsCache));
+}
+
+/**
+ * Reads a single setting
+ * @param {keyof Settings} key - The setting to read
+ * @returns {Promise<*>} The value of the setting
+ */
+async function getSetting(key) {
+  if (!SETTINGS_SCHEMA.properties[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  return (await getSettings())[key];
+}
+
+/**
+ * Validates and saves changed settings. Nothing is saved when any of the
+ * values is invalid.
+ * @param {Partial<Settings>} changes - The settings to change
+ * @returns {Promise<{saved: boolean, errors: string[], warning: (string|null)}>} Whether the settings were
+ *   saved and why not, with a warning when the rules could only be saved on this device
+ */
+async function updateSettings(changes) {
+  const errors = validateSettings(changes);
+  if (errors.length > 0) {
+    return { saved: false, errors, warning: null };
+  }
+
+  // Only write what actually changed, so listeners hear about real changes
+  const current = await getSettings();
+  const changed = {};
+  Object.keys(changes).forEach(key => {
+    if (JSON.stringify(changes[key]) !== JSON.stringify(current[key])) {
+      changed[key] = changes[key];
+    }
+  });
+  const warning = Object.keys(changed).length > 0 ? await writeSettings(changed) : null;
+  return { saved: true, errors: [], warning };
+}
+
+/**
+ * Validates and saves a single setting
+ * @param {keyof Settings} key - The setting to change
+ * @param {*} value - The new value
+ * @returns {Promise<{saved: boolean, errors: string[], warning: (string|null)}>} Whether the setting was saved, and why not
+ */
+function setSetting(key, value) {
+  return updateSettings({ [key]: value });
+}
+
+// Tell open popups and options pages when settings change, including from other devices
+browser.storage.onChanged.addListener((changes, areaName) => {
+  const keys = Object.keys(changes);
+  const rulesChanged = areaName === 'sync'
+    ? keys.some(key => key.startsWith(RULE_KEY_PREFIX))
+    : keys.includes(LOCAL_RULES_KEY);
+  const changed = areaName === 'sync' ? keys.filter(key => SETTINGS_SCHEMA.properties[key]) : [];
+  if (rulesChanged && !changed.includes('rules')) {
+    changed.push('rules');
+  }
+  if (changed.length === 0) {
+    return;
+  }
+  settingsCache = null;
+  scheduleBadgeUpdate();
+
+  getSettings().then(settings => {
+    browser.runtime.sendMessage({ action: 'settingsChanged', changed, settings })
+      // Fails when no popup or options page is open to hear it
+      .catch(() => {});
+  }).catch(error => {
+    console.error('Error reading changed settings:', error);
+  });
+});
+
+// Compiled patterns, keyed by their source text
+const patternCache = new Map();
+
+/**
+ * Compiles a rule pattern. Patterns wrapped in slashes are regular
+ * expressions, anything else is a glob where `*` matches any characters.
+ * @param {string} pattern - The pattern to compile
+ * @returns {RegExp} The compiled pattern
+ */
+function compilePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    let regex;
+    if (regexMatch) {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } else {
+      const source = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      regex = new RegExp(`^${source}$`, 'i');
+    }
+    patternCache.set(pattern, regex);
+  }
+  return patternCache.get(pattern);
+}
+
+// Name rules use for tabs outside any container, keep in sync with popup.js
+const NO_CONTAINER_NAME = 'No Container';
+
+// Firefox containers keyed by cookie store ID
+const containers = new Map();
+
+/**
+ * Loads the containers from the contextualIdentities API
+ */
+async function loadContainers() {
+  let identities = [];
+  try {
+    // Resolves to false or rejects when containers are turned off
+    identities = (await browser.contextualIdentities.query({})) || [];
+  } catch (error) {
+    console.log('Containers are not available:', error.message);
+  }
+  containers.clear();
+  identities.forEach(identity => containers.set(identity.cookieStoreId, identity));
+}
+
+/**
+ * Gets the name of the container a tab is in
+ * @param {string} [cookieStoreId] - The cookie store ID of the tab
+ * @returns {(string|null)} The container name, or null for private and unknown cookie stores
+ */
+function getContainerName(cookieStoreId) {
+  if (!cookieStoreId || cookieStoreId === 'firefox-default') {
+    return NO_CONTAINER_NAME;
+  }
+  const container = containers.get(cookieStoreId);
+  return container ? container.name : null;
+}
+
+/**
+ * Checks whether a tab's container matches a rule's container condition,
+ * given either as a cookie store ID or as a pattern for the container name
+ * @param {string} [cookieStoreId] - The cookie store ID of the tab
+ * @param {string} container - The container condition
+ * @returns {boolean} Whether the container matches
+ */
+function matchesContainer(cookieStoreId, container) {
+  if (cookieStoreId === container) {
+    return true;
+  }
+  const name = getContainerName(cookieStoreId);
+  return name !== null && matchesPattern(name, container);
+}
+
+// Keep container names current so rules can match them by name
+['onCreated', 'onUpdated', 'onRemoved'].forEach(event => {
+  browser.contextualIdentities[event].addListener(() => {
+    loadContainers().catch(error => {
+      console.error('Error loading containers:', error);
+    });
+  });
+});
+
+/**
+ * Lists the containers for the rule editor
+ * @returns {Promise<{cookieStoreId: string, name: string, color: (string|undefined)}[]>} The containers
+ */
+async function getContainers() {
+  await loadContainers();
+  return [{ cookieStoreId: 'firefox-default', name: NO_CONTAINER_NAME }].concat(
+    Array.from(containers.values()).map(({ cookieStoreId, name, colorCode }) => ({ cookieStoreId, name, color: colorCode }))
+  );
+}
+
+/**
+ * Checks if a value matches a rule pattern
+ * @param {string} value - The value to check
+ * @param {string} pattern - The pattern to match against
+ * @returns {boolean} Whether the value matches the pattern
+ */
+function matchesPattern(value, pattern) {
+  try {
+    return compilePattern(pattern).test(value || '');
+  } catch (e) {
+    console.error('Invalid pattern:', pattern, e);
+    return false;
+  }
+}
+
+/**
+ * Checks whether a tab satisfies every condition of a rule
+ * @param {browser.tabs.Tab} tab - The tab to check
+ * @param {RuleConditions} conditions - The conditions to check
+ * @param {RuleContext} context - Timing information for the tab
+ * @returns {boolean} Whether all conditions hold
+ */
+function matchesConditions(tab, conditions, context) {
+  let parsedUrl = null;
+  try {
+    parsedUrl = new URL(tab.url);
+  } catch (e) {
+    // Leave host and path empty for URLs that cannot be parsed
+  }
+
+  if (conditions.url && !matchesPattern(tab.url, conditions.url)) return false;
+  if (conditions.host && !matchesPattern(parsedUrl && parsedUrl.hostname, conditions.host)) return false;
+  if (conditions.path && !matchesPattern(parsedUrl && parsedUrl.pathname, conditions.path)) return false;
+  if (conditions.title && !matchesPattern(tab.title, conditions.title)) return false;
+  if (typeof conditions.audible === 'boolean' && Boolean(tab.audible) !== conditions.audible) return false;
+  if (typeof conditions.pinned === 'boolean' && Boolean(tab.pinned) !== conditions.pinned) return false;
+  if (conditions.windowId != null && tab.windowId !== conditions.windowId) return false;
+  if (conditions.container && !matchesContainer(tab.cookieStoreId, conditions.container)) return false;
+  if (conditions.minTabAge && context.now - context.openedAt < conditions.minTabAge * 60 * 1000) return false;
+  if (conditions.minInactive && context.now - context.lastAccess < conditions.minInactive * 60 * 1000) return false;
+  return true;
+}
+
+/**
+ * Checks whether a rule sets at least one condition. A rule without
+ * conditions, such as one just added in the popup, would match every tab.
+ * @param {RuleConditions} [conditions] - The conditions of the rule
+ * @returns {boolean} Whether any condition is set
+ */
+function hasConditions(conditions) {
+  // Mirrors matchesConditions: empty patterns and zero minute limits are ignored
+  return Object.entries(conditions || {}).some(([key, value]) =>
+    value != null && value !== '' && (value !== 0 || key === 'windowId'));
+}
+
+/**
+ * Returns the enabled rules with conditions in evaluation order
+ * @param {Rule[]} rules - The configured rules
+ * @returns {Rule[]} Enabled rules sorted by priority
+ */
+function getOrderedRules(rules) {
+  return (rules || [])
+    .filter(rule => rule.enabled !== false && hasConditions(rule.conditions))
+    .map((rule, i) => ({ rule, i }))
+    .sort((a, b) => (a.rule.priority ?? a.i) - (b.rule.priority ?? b.i) || a.i - b.i)
+    .map(({ rule }) => rule);
+}
+
+/**
+ * Finds the first rule, in priority order, that matches a tab
+ * @param {browser.tabs.Tab} tab - The tab to check
+ * @param {Rule[]} rules - The configured rules
+ * @param {RuleContext} context - Timing information for the tab
+ * @returns {Rule|null} The matching rule, or null if no rule matches
+ */
+function findMatchingRule(tab, rules, context) {
+  return getOrderedRules(rules).find(rule => matchesConditions(tab, rule.conditions || {}, context)) || null;
+}
+
+/**
+ * Works out which action applies to a tab: the first matching rule wins,
+ * otherwise the default behavior applies
+ * @param {browser.tabs.Tab} tab - The tab to check
+ * @param {Object} settings - Current settings
+ * @param {RuleContext} context - Timing information for the tab
+ * @returns {{action: RuleAction, rule: (Rule|null)}} The action and the rule that decided it,
+ *   protected and busy tabs always resolve to 'keep'
+ */
+function resolveTabAction(tab, settings, context) {
+  // Always protect about: pages
+  if (tab.url.startsWith('about:')) {
+    return { action: 'keep', rule: null };
+  }
+
+  // Tabs protected from the popup, menu or shortcut are never touched
+  if (isTabProtected(tab.id, context.now)) {
+    return { action: 'keep', rule: null };
+  }
+
+  // Tabs with unsaved input, media or uploads are never touched
+  if (isTabBusy(tab)) {
+    return { action: 'keep', rule: null };
+  }
+
+  const rule = findMatchingRule(tab, settings.rules, context);
+
+  // Pinned tabs are only touched by rules that explicitly target them
+  if (tab.pinned && !(rule && rule.conditions && rule.conditions.pinned === true)) {
+    return { action: 'keep', rule: null };
+  }
+
+  if (rule) {
+    return { action: rule.action, rule };
+  }
+  return { action: DEFAULT_BEHAVIOR_ACTIONS[settings.defaultBehavior] || 'keep', rule: null };
+}
+
+/**
+ * @typedef {Object} UrlNormalization
+ * @property {boolean} stripTrackingParams - Drop utm_* and other click tracking parameters
+ * @property {boolean} ignoreFragment - Drop the #fragment
+ * @property {boolean} ignoreScheme - Treat http and https as the same
+ * @property {boolean} ignoreWww - Treat www.example.com and example.com as the same
+ * @property {boolean} ignoreTrailingSlash - Treat /page/ and /page as the same
+ * @property {boolean} sortParams - Ignore the order of query parameters
+ * @property {Array<{domain: string, params: string[]}>} significantParams - Per domain and its
+ *   subdomains, the only query parameters that tell pages apart
+ */
+
+// Query parameters that only record where a visit came from
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src'
+];
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+
+/**
+ * Checks whether a query parameter only tracks where a visit came from
+ * @param {string} name - The parameter name
+ * @returns {boolean} Whether the parameter is a tracking parameter
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.includes(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Normalizes a web address so that addresses of the same page compare equal.
+ * Other URLs, such as about: or file: pages, are returned as they are.
+ * @param {string} url - The URL to normalize
+ * @param {UrlNormalization} options - The normalization steps to apply
+ * @param {boolean} [keepQuery] - Whether query parameters tell pages apart. The
+ *   significant parameters of a domain are kept either way.
+ * @returns {string} The normalized URL
+ */
+function normalizeUrl(url, options, keepQuery = true) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return url;
+  }
+
+  const significant = options.significantParams.find(({ domain }) =>
+    parsed.hostname === domain || parsed.hostname.endsWith(`.${domain}`));
+  let params = Array.from(parsed.searchParams.entries());
+  if (significant) {
+    params = params.filter(([name]) => significant.params.includes(name));
+  } else if (!keepQuery) {
+    params = [];
+  }
+  if (options.stripTrackingParams) {
+    params = params.filter(([name]) => !isTrackingParam(name));
+  }
+  if (options.sortParams) {
+    // Stable, so repeated parameters keep their order
+    params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  const scheme = options.ignoreScheme ? '' : parsed.protocol;
+  const host = options.ignoreWww ? parsed.host.replace(/^www\./, '') : parsed.host;
+  const path = options.ignoreTrailingSlash ? parsed.pathname.replace(/\/+$/, '') : parsed.pathname;
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+  const fragment = options.ignoreFragment ? '' : parsed.hash;
+  return `${scheme}//${host}${path}${query}${fragment}`;
+}
+
+/**
+ * Gets the value that duplicate tabs share for a duplicate action
+ * @param {string} url - The URL of the tab
+ * @param {RuleAction} action - 'duplicate', 'duplicate-no-query' or 'duplicate-domain'
+ * @param {UrlNormalization} options - The normalization steps to apply
+ * @param {Map<string, string>} [cache] - Keys already worked out in this check run,
+ *   so each URL is normalized once per run
+ * @returns {string} The duplicate key
+ */
+function getDuplicateKey(url, action, options, cache = new Map()) {
+  const cacheKey = `${action} ${url}`;
+  if (!cache.has(cacheKey)) {
+    let key;
+    if (action === 'duplicate-domain') {
+      const domain = getDomain(url);
+      key = options.ignoreWww ? domain.replace(/^www\./, '') : domain;
+    } else {
+      key = normalizeUrl(url, options, action === 'duplicate');
+    }
+    cache.set(cacheKey, key);
+  }
+  return cache.get(cacheKey);
+}
+
+/**
+ * Extracts the domain from a URL
+ * @param {string} url - The URL to process
+ * @returns {string} The domain name
+ */
+function getDomain(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Works out the inactivity timeouts that apply to a tab
+ * @param {Rule|null} rule - The rule that matched the tab
+ * @param {Object} settings - Current settings
+ * @returns {{closeAfter: number, unloadAfter: (number|null), killAfter: number}} Minutes before the
+ *   tab is closed, before it is unloaded (null when the global unload sweep applies), and before
+ *   auto-kill closes it once unloaded
+ */
+function getTabTimeouts(rule, settings) {
+  return {
+    closeAfter: rule && rule.closeAfter > 0 ? rule.closeAfter : Number(settings.timeLimit),
+    unloadAfter: rule && rule.unloadAfter > 0 ? rule.unloadAfter : null,
+    killAfter: rule && rule.killAfter > 0 ? rule.killAfter : Number(settings.killUnloadedAfterHours) * 60
+  };
+}
+
+/**
+ * Formats a kill age for plan reasons
+ * @param {number} minutes - The kill age in minutes
+ * @returns {string} The kill age, e.g. "24 h" or "90 min"
+ */
+function formatKillAge(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60} h` : `${minutes} min`;
+}
+
+/**
+ * Checks whether another tab with the same key was used more recently. Tabs
+ * in different containers are only duplicates when `acrossContainers` is set.
+ * @param {browser.tabs.Tab} tab - The tab to check
+ * @param {browser.tabs.Tab[]} allTabs - All open tabs
+ * @param {function(string): string} getKey - Maps a URL to the value duplicates share
+ * @param {boolean} [acrossContainers] - Whether tabs in other containers count as duplicates
+ * @returns {boolean} Whether the tab is older than all of its duplicates
+ */
+function isOlderDuplicate(tab, allTabs, getKey, acrossContainers = false) {
+  const key = getKey(tab.url);
+  const duplicates = allTabs.filter(t =>
+    t.id !== tab.id &&
+    (acrossContainers || t.cookieStoreId === tab.cookieStoreId) &&
+    getKey(t.url) === key
+  );
+  return duplicates.length > 0 && duplicates.every(t => tab.lastAccessed < t.lastAccessed);
+}
+
+/**
+ * Check if an inactive tab should be closed for the given action
+ * @param {browser.tabs.Tab} tab - The tab to check
+ * @param {RuleAction} action - The action resolved for the tab
+ * @param {browser.tabs.Tab[]} allTabs - All open tabs
+ * @param {Object} settings - Current settings
+ * @param {Map<string, string>} [duplicateKeys] - Duplicate keys cached for the current check run
+ * @returns {boolean} Whether the tab should be closed
+ */
+function shouldCloseTab(tab, action, allTabs, settings, duplicateKeys = new Map()) {
+  const acrossContainers = settings.duplicatesAcrossContainers;
+  switch (action) {
+    case 'close':
+      return true;
+    case 'duplicate':
+    case 'duplicate-no-query':
+    case 'duplicate-domain':
+      return isOlderDuplicate(tab, allTabs,
+        url => getDuplicateKey(url, action, settings.urlNormalization, duplicateKeys), acrossContainers);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Closes unloaded tabs that have stayed unloaded for longer than their kill age
+ */
+async function checkAndKillUnloadedTabs() {
+  console.log('Checking for old unloaded tabs...');
+  const settings = await loadSettings();
+  
+  if (!settings.autoKillUnloaded) {
+    console.log('Auto-kill unloaded tabs is disabled');
+    return;
+  }
+
+  if (settings.quiet) {
+    console.log('Quiet hours, skipping auto-kill');
+    return;
+  }
+
+  const tabs = await browser.tabs.query({});
+  const now = Date.now();
+  const sweepId = createId();
+
+  try {
+    for (const tab of tabs) {
+      if (!tab.discarded) continue;
+      // Tabs unloaded before the ledger saw them start counting now
+      if (!discardedTabs.has(tab.id)) {
+        await recordTabDiscarded(tab.id, now);
+        continue;
+      }
+      // Rules, protection and busy signals can keep the tab
+      const plan = planTab(tab, settings, tabs, now);
+      if (plan.action !== 'kill' || plan.timeLeft > 0) continue;
+      console.log(`Killing old unloaded tab: ${tab.url}`);
+      await closeTabNow(tab, plan.rule, 'killed', settings, sweepId, 'killed');
+    }
+  } finally {
+    await notifySweep(sweepId);
+  }
+}
+
+/**
+ * Lists the unloaded tabs and when auto-kill closes each of them
+ * @returns {Promise<Array<{tabId: number, title: string, url: string, discardedAt: number,
+ *   killAt: (number|null), reason: string}>>} The unloaded tabs, killAt is null for tabs that are kept
+ */
+async function getUnloadedTabs() {
+  const settings = await loadSettings();
+  const tabs = await browser.tabs.query({});
+  const now = Date.now();
+  return tabs
+    .filter(tab => tab.discarded && discardedTabs.has(tab.id))
+    .map(tab => {
+      const plan = planTab(tab, settings, tabs, now);
+      return {
+        tabId: tab.id,
+        title: tab.title || tab.url,
+        url: tab.url,
+        discardedAt: discardedTabs.get(tab.id),
+        killAt: plan.action === 'kill' ? now + plan.timeLeft : null,
+        reason: plan.reason
+      };
+    })
+    .sort((a, b) => (a.killAt === null) - (b.killAt === null) || a.killAt - b.killAt || a.discardedAt - b.discardedAt);
+}
+
+// Check for unloaded tabs to kill
+browser.alarms.create('checkUnloadedTabs', {
+  periodInMinutes: 5
+});
+
+browser.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === 'checkUnloadedTabs') {
+    checkAndKillUnloadedTabs().catch(error => {
+      console.error('Error killing unloaded tabs:', error);
+    });
+  }
+});
+
+// Keep the ledger of unloaded tabs, whoever unloaded them
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.discarded === true) {
+    recordTabDiscarded(tabId, Date.now());
+  } else if (changeInfo.discarded === false) {
+    forgetTabDiscarded(tabId);
+  }
+});
+
+// Listen for tab activation
+browser.tabs.onActivated.addListener(activeInfo => {
+  updateTabActivity(activeInfo.tabId);
+});
+
+// Listen for tab updates
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'complete' || changeInfo.url) {
+    updateTabActivity(tabId);
+  }
+});
+
+// Listen for tab removal
+browser.tabs.onRemoved.addListener(tabId => {
+  removeTabActivity(tabId);
+  protectedTabs.delete(tabId);
+  discardedTabs.delete(tabId);
+  tabSignals.delete(tabId);
+  tabUploads.delete(tabId);
+});
+
+// Watch uploads from pages, so tabs are not closed or unloaded while one runs
+browser.webRequest.onSendHeaders.addListener(details => {
+  if (details.tabId < 0 || !isUploadRequest(details)) return;
+  if (!tabUploads.has(details.tabId)) {
+    tabUploads.set(details.tabId, new Set());
+  }
+  tabUploads.get(details.tabId).add(details.requestId);
+}, { urls: ['<all_urls>'], types: ['xmlhttprequest'] }, ['requestHeaders']);
+browser.webRequest.onCompleted.addListener(finishUpload, { urls: ['<all_urls>'], types: ['xmlhttprequest'] });
+browser.webRequest.onErrorOccurred.addListener(finishUpload, { urls: ['<all_urls>'], types: ['xmlhttprequest'] });
+
+// A new page starts without busy signals, its content script reports them again
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading' || changeInfo.discarded) {
+    tabSignals.delete(tabId);
+  }
+});
+
+// Listen for window focus changes
+browser.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId !== browser.windows.WINDOW_ID_NONE) {
+    const tabs = await browser.tabs.query({ active: true, windowId });
+    if (tabs.length > 0) {
+      updateTabActivity(tabs[0].id);
+    }
+  }
+});
+
+// Update active tab's last access time periodically
+setInterval(async () => {
+  try {
+    const tabs = await browser.tabs.query({ active: true });
+    tabs.forEach(tab => updateTabActivity(tab.id));
+  } catch (error) {
+    console.error('Error updating active tab timestamps:', error);
+  }
+}, 60000); // Update every minute
+
+// Check and close inactive tabs
+/**
+ * Checks all tabs and closes them based on inactivity and duplicate rules
+ * Handles both pattern-based rules and global duplicate settings
+ */
+async function checkInactiveTabs() {
+  const sweepId = createId();
+  try {
+    console.log('Starting inactive tabs check...');
+    const settings = await loadSettings();
+
+    if (!settings.enabled) {
+      console.log('Extension is disabled, skipping check');
+      return;
+    }
+
+    const tabs = await browser.tabs.query({});
+    const now = Date.now();
+    const duplicateKeys = new Map();
+
+    for (const tab of tabs) {
+      const lastAccess = await getTabLastAccess(tab.id);
+      const { action, rule } = resolveTabAction(tab, settings, {
+        now,
+        lastAccess,
+        openedAt: getTabOpenedAt(tab.id)
+      });
+      const { closeAfter, unloadAfter } = getTabTimeouts(rule, settings);
+      // Unload rules act after their own unload timeout when they have one
+      const inactiveTime = (action === 'unload' && unloadAfter ? unloadAfter : closeAfter) * 60 * 1000;
+      const timeSinceLastAccess = getElapsedTime(lastAccess, now, settings);
+      const timeLeft = inactiveTime - timeSinceLastAccess;
+      
+      console.log(`Checking tab ${tab.id}: ${tab.url}`);
+      console.log(`Last access: ${new Date(lastAccess).toISOString()}`);
+      console.log(`Time since last access: ${Math.round(timeSinceLastAccess/1000)}s`);
+      console.log(`Time left before close: ${Math.round(timeLeft/1000)}s`);
+      console.log(`Tab ${tab.id} - action: ${action}, rule: ${rule ? rule.id : 'default'}`);
+
+      if (action === 'keep') {
+        continue;
+      }
+      
+      // Skip if tab is still within inactive time limit
+      if (timeLeft > 0) {
+        console.log(`Tab ${tab.id} still has ${Math.round(timeLeft/1000)}s left`);
+        continue;
+      }
+
+      if (action === 'unload') {
+        if (!tab.active) {
+          await unloadTabNow(tab, sweepId);
+        }
+        continue;
+      }
+
+      // Nothing is closed during quiet hours
+      if (settings.quiet) {
+        console.log(`Quiet hours, not closing tab ${tab.id}`);
+        continue;
+      }
+
+      const shouldClose = shouldCloseTab(tab, action, tabs, settings, duplicateKeys);
+      
+      if (shouldClose) {
+        await closeTabNow(tab, rule, getCloseReason(action), settings, sweepId);
+      }
+    }
+    console.log('Finished checking inactive tabs');
+  } catch (error) {
+    console.error('Error checking inactive tabs:', error);
+  } finally {
+    await notifySweep(sweepId);
+  }
+}
+
+// Public suffixes by kind, from the rules in public_suffix_list.js
+const PUBLIC_SUFFIXES = new Set();
+const PUBLIC_SUFFIX_WILDCARDS = new Set();
+const PUBLIC_SUFFIX_EXCEPTIONS = new Set();
+PUBLIC_SUFFIX_RULES.forEach(rule => {
+  if (rule.startsWith('!')) {
+    PUBLIC_SUFFIX_EXCEPTIONS.add(rule.slice(1));
+  } else if (rule.startsWith('*.')) {
+    PUBLIC_SUFFIX_WILDCARDS.add(rule.slice(2));
+  } else {
+    PUBLIC_SUFFIXES.add(rule);
+  }
+});
+
+/**
+ * Gets the registrable domain (eTLD+1) of a host name from the Public Suffix
+ * List, e.g. "example.co.uk" for "docs.example.co.uk". IP addresses,
+ * single-label hosts and public suffixes are returned as they are.
+ * @param {string} hostname - The host name
+ * @returns {string} The registrable domain
+ */
+function getRegistrableDomain(hostname) {
+  hostname = hostname.toLowerCase().replace(/\.$/, '');
+  if (!hostname.includes('.') || hostname.includes(':') || /^[\d.]+$/.test(hostname)) {
+    return hostname;
+  }
+  const labels = hostname.split('.');
+  // The longest matching rule wins, so check from the left
+  for (let i = 0; i < labels.length; i++) {
+    const suffix = labels.slice(i).join('.');
+    // An exception rule makes its own name registrable
+    if (PUBLIC_SUFFIX_EXCEPTIONS.has(suffix)) {
+      return suffix;
+    }
+    if (PUBLIC_SUFFIXES.has(suffix) || PUBLIC_SUFFIX_WILDCARDS.has(labels.slice(i + 1).join('.'))) {
+      return i > 0 ? labels.slice(i - 1).join('.') : hostname;
+    }
+  }
+  // Unlisted top-level domains are public suffixes of their own
+  return labels.slice(-2).join('.');
+}
+
+/**
+ * Finds the tabs over the quota of their rule: per rule and domain, only the
+ * most recently used tabs are kept. Active tabs are never picked but still
+ * count, and unloaded tabs only count when the quota closes tabs.
+ * @param {browser.tabs.Tab[]} tabs - All open tabs
+ * @param {Settings} settings - Current settings
+ * @param {number} now - The current time in milliseconds
+ * @returns {Map<number, {tab: browser.tabs.Tab, rule: Rule, action: ('close'|'unload'), domain: string}>} The tabs
+ *   to close or unload, by tab ID
+ */
+function selectTabsOverQuota(tabs, settings, now) {
+  const groups = new Map();
+  tabs.forEach(tab => {
+    const lastAccess = tabActivity.get(tab.id) || now;
+    const { action, rule } = resolveTabAction(tab, settings, {
+      now,
+      lastAccess,
+      openedAt: getTabOpenedAt(tab.id)
+    });
+    if (action !== 'quota-close' && action !== 'quota-unload') return;
+    if (action === 'quota-unload' && tab.discarded) return;
+
+    const host = getDomain(tab.url);
+    const domain = rule.quotaScope === 'host' ? host : getRegistrableDomain(host);
+    const container = settings.duplicatesAcrossContainers ? '' : tab.cookieStoreId;
+    const key = `${rule.id} ${container} ${domain}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ tab, lastAccess, evictable: !tab.active, rule, domain });
+  });
+
+  const over = new Map();
+  groups.forEach(entries => {
+    const { rule, domain } = entries[0];
+    const action = rule.action === 'quota-unload' ? 'unload' : 'close';
+    pickLeastRecentlyUsed(entries, rule.quota || 1).forEach(tab => {
+      over.set(tab.id, { tab, rule, action, domain });
+    });
+  });
+  return over;
+}
+
+// Whether a quota check is running, and whether another one was requested meanwhile
+let enforcingQuotas = false;
+let quotaCheckPending = false;
+
+/**
+ * Closes or unloads the least recently used tabs of every domain that has more
+ * tabs open than its quota rule allows
+ */
+async function enforceDomainQuotas() {
+  if (enforcingQuotas) {
+    quotaCheckPending = true;
+    return;
+  }
+  enforcingQuotas = true;
+
+  const sweepId = createId();
+  try {
+    const settings = await loadSettings();
+    if (!settings.enabled) {
+      return;
+    }
+
+    const over = selectTabsOverQuota(await browser.tabs.query({}), settings, Date.now());
+    if (over.size === 0) {
+      return;
+    }
+
+    console.log(`Domain quotas exceeded, evicting ${over.size} tabs`);
+    for (const { tab, rule, action, domain } of over.values()) {
+      if (action === 'unload') {
+        await unloadTabNow(tab, sweepId, 'evicted-unloaded');
+      } else if (settings.quiet) {
+        console.log(`Quiet hours, not closing tab ${tab.id} over the quota for ${domain}`);
+      } else {
+        await closeTabNow(tab, rule, 'evicted', settings, sweepId, 'evicted');
+      }
+    }
+  } catch (e) {
+    console.error('Error enforcing domain quotas:', e);
+  } finally {
+    await notifySweep(sweepId);
+    enforcingQuotas = false;
+    if (quotaCheckPending) {
+      quotaCheckPending = false;
+      enforceDomainQuotas();
+    }
+  }
+}
+
+// Whether a tab cap check is running, and whether another one was requested meanwhile
+let enforcingTabCap = false;
+let tabCapCheckPending = false;
+
+/**
+ * Picks the least recently used tabs to evict so that at most `limit` remain
+ * @param {Array<{tab: browser.tabs.Tab, lastAccess: number, evictable: boolean}>} entries - Counted tabs
+ * @param {number} limit - The maximum number of tabs to keep
+ * @returns {browser.tabs.Tab[]} The tabs to evict, oldest first
+ */
+function pickLeastRecentlyUsed(entries, limit) {
+  const excess = entries.length - limit;
+  if (excess <= 0) {
+    return [];
+  }
+  return entries
+    .filter(entry => entry.evictable)
+    .sort((a, b) => a.lastAccess - b.lastAccess)
+    .slice(0, excess)
+    .map(entry => entry.tab);
+}
+
+/**
+ * Pairs tabs with their last access time and whether they may be evicted.
+ * Active, pinned, protected and kept tabs are never evicted.
+ * @param {browser.tabs.Tab[]} tabs - The tabs to consider
+ * @param {Object} settings - Current settings
+ * @param {number} now - The current time in milliseconds
+ * @returns {Array<{tab: browser.tabs.Tab, lastAccess: number, evictable: boolean}>} The entries
+ */
+function getEvictionEntries(tabs, settings, now) {
+  return tabs.map(tab => {
+    const lastAccess = tabActivity.get(tab.id) || now;
+    const { action } = resolveTabAction(tab, settings, {
+      now,
+      lastAccess,
+      openedAt: getTabOpenedAt(tab.id)
+    });
+    return { tab, lastAccess, evictable: !tab.active && action !== 'keep' };
+  });
+}
+
+/**
+ * Groups eviction entries by the window their tab is in
+ * @param {Array<{tab: browser.tabs.Tab}>} entries - The entries to group
+ * @returns {Array<Array<{tab: browser.tabs.Tab}>>} The entries of each window
+ */
+function groupEntriesByWindow(entries) {
+  const windows = new Map();
+  entries.forEach(entry => {
+    const windowEntries = windows.get(entry.tab.windowId) || [];
+    windowEntries.push(entry);
+    windows.set(entry.tab.windowId, windowEntries);
+  });
+  return Array.from(windows.values());
+}
+
+/**
+ * Closes or unloads the least recently used tabs while there are more open
+ * than the global or per-window cap allows. Active, pinned, protected and
+ * kept tabs are never evicted, but still count towards the cap.
+ */
+async function enforceTabCap() {
+  if (enforcingTabCap) {
+    tabCapCheckPending = true;
+    return;
+  }
+  enforcingTabCap = true;
+
+  const sweepId = createId();
+  try {
+    const settings = await loadSettings();
+    const maxTabs = Number(settings.maxTabs) || 0;
+    const maxTabsPerWindow = Number(settings.maxTabsPerWindow) || 0;
+    if (!settings.enabled || (!maxTabs && !maxTabsPerWindow)) {
+      return;
+    }
+
+    const unload = settings.tabCapAction !== 'close';
+    if (!unload && settings.quiet) {
+      console.log('Quiet hours, not closing tabs over the cap');
+      return;
+    }
+    const now = Date.now();
+    const tabs = await browser.tabs.query({});
+    // Unloaded tabs cost little, so they only count when the cap closes tabs
+    const entries = getEvictionEntries(tabs.filter(tab => !unload || !tab.discarded), settings, now);
+
+    const evicted = new Map();
+    if (maxTabsPerWindow) {
+      groupEntriesByWindow(entries).forEach(windowEntries => {
+        pickLeastRecentlyUsed(windowEntries, maxTabsPerWindow).forEach(tab => evicted.set(tab.id, tab));
+      });
+    }
+    if (maxTabs) {
+      const remaining = entries.filter(entry => !evicted.has(entry.tab.id));
+      pickLeastRecentlyUsed(remaining, maxTabs).forEach(tab => evicted.set(tab.id, tab));
+    }
+
+    if (evicted.size === 0) {
+      return;
+    }
+
+    console.log(`Tab cap exceeded, ${unload ? 'unloading' : 'closing'} ${evicted.size} tabs`);
+    for (const tab of evicted.values()) {
+      if (unload) {
+        await unloadTabNow(tab, sweepId, 'evicted-unloaded');
+      } else {
+        const rule = findMatchingRule(tab, settings.rules, {
+          now,
+          lastAccess: tabActivity.get(tab.id) || now,
+          openedAt: getTabOpenedAt(tab.id)
+        });
+        await closeTabNow(tab, rule, 'evicted', settings, sweepId, 'evicted');
+      }
+    }
+  } catch (e) {
+    console.error('Error enforcing tab cap:', e);
+  } finally {
+    await notifySweep(sweepId);
+    enforcingTabCap = false;
+    if (tabCapCheckPending) {
+      tabCapCheckPending = false;
+      enforceTabCap();
+    }
+  }
+}
+
+// Listen for tab creation
+browser.tabs.onCreated.addListener((tab) => {
+  console.log("New tab created:", tab);
+  if (pendingActivityRecords.length > 0) {
+    // Tabs restored late by the session store keep their saved activity
+    seedTabActivity(tab, Date.now());
+    scheduleActivitySave();
+  } else {
+    tabOpenedAt.set(tab.id, Date.now());
+    updateTabActivity(tab.id);
+  }
+  // Tabs reopened by the session store bring their protection and unload time along
+  loadTabProtection(tab);
+  loadTabDiscardedAt(tab);
+  enforceTabCap();
+  enforceDomainQuotas();
+});
 
+// A tab that moves to another site may put that site over its quota
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    enforceDomainQuotas();
+  }
+});
+
+// Set up periodic check
+browser.alarms.create('checkInactiveTabs', {
+  periodInMinutes: 1
+});
+
+// Set up periodic check for unloading tabs
+browser.alarms.create('checkUnloadTabs', {
+  periodInMinutes: 1
+});
+
+// Track last unload time
+let lastUnloadTime = 0;
+
+// Unload (discard) all eligible tabs if unloadTimeout has passed
+async function checkUnloadTabs() {
+  const sweepId = createId();
+  try {
+    console.log('Starting unload tabs check...');
+    const settings = await loadSettings();
     if (!settings.enabled) {
-      console.log('Extension is disabled, skipping check');
+      console.log('Extension is disabled, skipping unload check');
       return;
     }
+    const now = Date.now();
+    if (!lastUnloadTime) lastUnloadTime = now;
+    const unloadInterval = (settings.unloadTimeout || 30) * 60 * 1000;
+    // The budget replaces the periodic sweep of every tab
+    const budgetMode = settings.unloadMode === 'budget';
+    // Tabs whose rule has its own unload timeout are checked on every run
+    const sinceLastUnload = getElapsedTime(lastUnloadTime, now, settings);
+    const sweepDue = !budgetMode && sinceLastUnload >= unloadInterval;
+    if (!budgetMode && !sweepDue) {
+      console.log(`Unload interval not yet passed. Time left: ${Math.round((unloadInterval - sinceLastUnload) / 60000)} minutes`);
+    }
+    const tabs = await browser.tabs.query({});
+    for (const tab of tabs) {
+      if (tab.pinned || tab.active || tab.discarded) continue;
+      const lastAccess = await getTabLastAccess(tab.id);
+      const { action, rule } = resolveTabAction(tab, settings, {
+        now,
+        lastAccess,
+        openedAt: getTabOpenedAt(tab.id)
+      });
+      if (action === 'keep') continue;
+      const { unloadAfter } = getTabTimeouts(rule, settings);
+      if (unloadAfter ? getElapsedTime(lastAccess, now, settings) < unloadAfter * 60 * 1000 : !sweepDue) continue;
+      await unloadTabNow(tab, sweepId);
+    }
+    if (sweepDue) {
+      lastUnloadTime = now;
+    }
+    if (budgetMode) {
+      await unloadTabsOverBudget(settings, sweepId);
+    }
+  } catch (e) {
+    console.error('Error in checkUnloadTabs:', e);
+  } finally {
+    await notifySweep(sweepId);
+  }
+}
+
+/**
+ * Picks the loaded tabs that fall outside the loaded tab budget: the N most
+ * recently used tabs stay loaded, per window or in total, the rest are returned
+ * @param {browser.tabs.Tab[]} tabs - All open tabs
+ * @param {Object} settings - Current settings
+ * @param {number} now - The current time in milliseconds
+ * @returns {browser.tabs.Tab[]} The tabs to unload, oldest first
+ */
+function selectTabsOverBudget(tabs, settings, now) {
+  const budget = Math.max(0, Number(settings.loadedTabBudget) || 0);
+  const entries = getEvictionEntries(tabs.filter(tab => !tab.discarded), settings, now);
+
+  if (settings.loadedTabBudgetScope === 'total') {
+    return pickLeastRecentlyUsed(entries, budget);
+  }
+  return groupEntriesByWindow(entries)
+    .flatMap(windowEntries => pickLeastRecentlyUsed(windowEntries, budget));
+}
+
+/**
+ * Unloads the least recently used tabs that do not fit in the loaded tab budget
+ * @param {Object} settings - Current settings
+ * @param {string} sweepId - Identifier of the check run
+ */
+async function unloadTabsOverBudget(settings, sweepId) {
+  const tabs = await browser.tabs.query({});
+  const overBudget = selectTabsOverBudget(tabs, settings, Date.now());
+  if (overBudget.length > 0) {
+    console.log(`Loaded tab budget exceeded, unloading ${overBudget.length} tabs`);
+  }
+  for (const tab of overBudget) {
+    try {
+      await browser.tabs.discard(tab.id);
+      console.log(`Unloaded tab ${tab.id}: ${tab.url}`);
+      await addToHistory(tab, 'unloaded', sweepId);
+    } catch (e) {
+      console.error('Error unloading tab:', tab.id, e);
+    }
+  }
+}
+
+/**
+ * Applies the loaded tab budget right away, used when the active tab changes
+ */
+async function enforceLoadedTabBudget() {
+  const sweepId = createId();
+  try {
+    const settings = await loadSettings();
+    if (settings.enabled && settings.unloadMode === 'budget') {
+      await unloadTabsOverBudget(settings, sweepId);
+    }
+  } catch (e) {
+    console.error('Error enforcing loaded tab budget:', e);
+  } finally {
+    await notifySweep(sweepId);
+  }
+}
+
+// Switching tabs changes which tabs are the most recently used
+browser.tabs.onActivated.addListener(() => {
+  enforceLoadedTabBudget();
+});
+
+// Listen for alarms
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'checkInactiveTabs') {
+    console.log("Checking inactive tabs...");
+    checkInactiveTabs().catch(error => {
+      console.error('Error checking inactive tabs:', error);
+    }).then(enforceDomainQuotas).then(scheduleBadgeUpdate);
+  } else if (alarm.name === 'checkUnloadTabs') {
+    checkUnloadTabs().catch(error => {
+      console.error('Error checking unload tabs:', error);
+    }).then(scheduleBadgeUpdate);
+  }
+});
+
+// Initialize extension
+loadContainers().catch(error => {
+  console.error('Error loading containers:', error);
+});
+
+initializeIdleTracking().catch(error => {
+  console.error('Error initializing idle tracking:', error);
+});
+
+migrateStoredSettings().catch(error => {
+  console.error('Error migrating settings:', error);
+});
+
+initializeTabActivity().catch(error => {
+  console.error('Error initializing tab activity:', error);
+});
+
+markOpenTabsSeen().catch(error => {
+  console.error('Error marking open tabs:', error);
+});
+
+/**
+ * Unloads every inactive tab now, without waiting for the unload interval
+ * @returns {Promise<number>} The number of unloaded tabs
+ */
+async function manuallyUnloadInactiveTabs() {
+  let unloaded = 0;
+  const sweepId = createId();
+  try {
+    console.log('Manually unloading inactive tabs...');
+    const settings = await loadSettings();
+
+    if (!settings.enabled) {
+      console.log('Extension is disabled, skipping manual unload');
+      return unloaded;
+    }
+
+    const tabs = await browser.tabs.query({});
+    const now = Date.now();
+
+    for (const tab of tabs) {
+      if (tab.pinned || tab.active || tab.discarded) continue;
+      
+      const lastAccess = await getTabLastAccess(tab.id);
+      const timeSinceLastAccess = getElapsedTime(lastAccess, now, settings);
+      const { action, rule } = resolveTabAction(tab, settings, {
+        now,
+        lastAccess,
+        openedAt: getTabOpenedAt(tab.id)
+      });
+      const { closeAfter, unloadAfter } = getTabTimeouts(rule, settings);
+      const inactiveTime = (unloadAfter || closeAfter) * 60 * 1000;
+      
+      if (action !== 'keep' && timeSinceLastAccess >= inactiveTime) {
+        try {
+          await browser.tabs.discard(tab.id);
+          console.log(`Manually unloaded tab ${tab.id}: ${tab.url}`);
+          await addToHistory(tab, 'unloaded', sweepId);
+          unloaded++;
+        } catch (e) {
+          console.error('Error unloading tab:', tab.id, e);
+        }
+      }
+    }
+  } catch (e) {
+    console.error('Error in manual unload:', e);
+  } finally {
+    await notifySweep(sweepId);
+  }
+  return unloaded;
+}
+
+/**
+ * Closes duplicate tabs now, however recently they were used. Of each group
+ * of duplicates the most recently used tab stays open. Tabs whose rule has a
+ * duplicate mode use it, other tabs are duplicates when their URLs match.
+ * @returns {Promise<number>} The number of closed tabs
+ */
+async function closeDuplicateTabs() {
+  let closed = 0;
+  const sweepId = createId();
+  try {
+    const settings = await loadSettings();
+
+    if (!settings.enabled) {
+      console.log('Extension is disabled, skipping closing duplicates');
+      return closed;
+    }
+    if (settings.quiet) {
+      console.log('Quiet hours, not closing duplicates');
+      return closed;
+    }
+
+    const tabs = await browser.tabs.query({});
+    const now = Date.now();
+    const duplicateKeys = new Map();
+    // Oldest first, so that each close leaves the next oldest duplicate to close
+    const remaining = tabs.slice().sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+    for (const tab of remaining.slice()) {
+      if (tab.pinned || tab.active) continue;
+
+      const { action, rule } = resolveTabAction(tab, settings, {
+        now,
+        lastAccess: await getTabLastAccess(tab.id),
+        openedAt: getTabOpenedAt(tab.id)
+      });
+      if (action === 'keep') continue;
+
+      if (!shouldCloseTab(tab, getDuplicateAction(action), remaining, settings, duplicateKeys)) continue;
+      if (await closeTabNow(tab, rule, 'duplicate', settings, sweepId)) {
+        remaining.splice(remaining.indexOf(tab), 1);
+        closed++;
+      }
+    }
+  } catch (e) {
+    console.error('Error closing duplicate tabs:', e);
+  } finally {
+    await notifySweep(sweepId);
+  }
+  return closed;
+}
+
+/**
+ * Picks how duplicates are found for a tab: by its rule's duplicate mode, or
+ * by the full URL for other actions
+ * @param {RuleAction} action - The action resolved for the tab
+ * @returns {RuleAction} The duplicate action
+ */
+function getDuplicateAction(action) {
+  return action.startsWith('duplicate') ? action : 'duplicate';
+}
+
+/**
+ * Archives, records and closes a single tab, the way a check run does
+ * @param {browser.tabs.Tab} tab - The tab to close
+ * @param {Rule|null} rule - The rule that matched the tab
+ * @param {string} reason - Why the tab is closed, see `getCloseReason`
+ * @param {Settings} settings - Current settings
+ * @param {string} sweepId - Identifier of the run closing the tab
+ * @param {string} [type] - The history entry type
+ * @returns {Promise<boolean>} Whether the tab was closed
+ */
+async function closeTabNow(tab, rule, reason, settings, sweepId, type = 'closed') {
+  if (!await archiveBeforeClose(tab, rule, reason, settings)) {
+    return false;
+  }
+  try {
+    console.log(`Closing tab ${tab.id}: ${tab.url}`);
+    await addToHistory(tab, type, sweepId);
+    await browser.tabs.remove(tab.id);
+    removeTabActivity(tab.id);
+    return true;
+  } catch (e) {
+    console.error('Error closing tab:', tab.id, e);
+    return false;
+  }
+}
+
+/**
+ * Unloads a single tab and records it in the history. The active tab is
+ * unloaded after switching to the most recently used other tab of its window.
+ * @param {browser.tabs.Tab} tab - The tab to unload
+ * @param {string} sweepId - Identifier of the run unloading the tab
+ * @param {string} [type] - The history entry type
+ * @returns {Promise<boolean>} Whether the tab was unloaded
+ */
+async function unloadTabNow(tab, sweepId, type = 'unloaded') {
+  if (tab.discarded) {
+    return false;
+  }
+  try {
+    if (tab.active) {
+      const others = (await browser.tabs.query({ windowId: tab.windowId }))
+        .filter(other => other.id !== tab.id)
+        .sort((a, b) => b.lastAccessed - a.lastAccessed);
+      if (others.length === 0) {
+        return false;
+      }
+      await browser.tabs.update(others[0].id, { active: true });
+    }
+    await browser.tabs.discard(tab.id);
+    console.log(`Unloaded tab ${tab.id}: ${tab.url}`);
+    await addToHistory(tab, type, sweepId);
+    return true;
+  } catch (e) {
+    console.error('Error unloading tab:', tab.id, e);
+    return false;
+  }
+}
+
+/**
+ * Unloads the other tabs of a tab's window, skipping tabs a rule, protection
+ * or busy signal keeps
+ * @param {browser.tabs.Tab} tab - The tab to keep loaded
+ * @returns {Promise<number>} The number of unloaded tabs
+ */
+async function unloadOtherTabs(tab) {
+  const settings = await loadSettings();
+  const now = Date.now();
+  const sweepId = createId();
+  let unloaded = 0;
+  const tabs = await browser.tabs.query({ windowId: tab.windowId });
+  try {
+    for (const other of tabs) {
+      if (other.id === tab.id || other.pinned || other.active || other.discarded) continue;
+      const { action } = resolveTabAction(other, settings, {
+        now,
+        lastAccess: await getTabLastAccess(other.id),
+        openedAt: getTabOpenedAt(other.id)
+      });
+      if (action !== 'keep' && await unloadTabNow(other, sweepId)) {
+        unloaded++;
+      }
+    }
+  } finally {
+    await notifySweep(sweepId);
+  }
+  return unloaded;
+}
+
+/**
+ * Closes the duplicates of a tab, keeping the tab itself open. Duplicates are
+ * found the way the tab's rule finds them, by full URL otherwise.
+ * @param {browser.tabs.Tab} tab - The tab whose duplicates to close
+ * @returns {Promise<number>} The number of closed tabs
+ */
+async function closeDuplicatesOf(tab) {
+  const settings = await loadSettings();
+  const now = Date.now();
+  const sweepId = createId();
+  let closed = 0;
+  const { action } = resolveTabAction(tab, settings, {
+    now,
+    lastAccess: await getTabLastAccess(tab.id),
+    openedAt: getTabOpenedAt(tab.id)
+  });
+  // Make the tab the most recent of its duplicates, so only the others count as older
+  const pinnedTab = { ...tab, lastAccessed: Infinity };
+  const tabs = (await browser.tabs.query({})).map(other => (other.id === tab.id ? pinnedTab : other));
+  try {
+    for (const other of tabs) {
+      if (other.id === tab.id || other.pinned) continue;
+      if (!shouldCloseTab(other, getDuplicateAction(action), [other, pinnedTab], settings)) continue;
+      const { action: otherAction, rule } = resolveTabAction(other, settings, {
+        now,
+        lastAccess: await getTabLastAccess(other.id),
+        openedAt: getTabOpenedAt(other.id)
+      });
+      if (otherAction === 'keep') continue;
+      if (await closeTabNow(other, rule, 'duplicate', settings, sweepId)) {
+        closed++;
+      }
+    }
+  } finally {
+    await notifySweep(sweepId);
+  }
+  return closed;
+}
+
+// Tabs opened since the extension started whose first page has not loaded
+// yet, each with a promise telling whether the user opened it
+const newTabs = new Map();
+// Key of the per-tab session value marking tabs the extension has seen.
+// Tabs the session store brings back carry it, tabs the user opens don't.
+const SEEN_TAB_KEY = 'seen';
+// Whether the tabs that were open when the extension started are marked
+let seenTabsMarked = false;
+// Tabs being checked for an open duplicate, so redirects are not handled twice
+const duplicateChecks = new Set();
+
+// Prefix of notifications offering to switch to an open duplicate, followed by
+// the IDs of the new tab and the open tab
+const DUPLICATE_NOTIFICATION_PREFIX = 'duplicate:';
+// Pages are offered again at most this often, in milliseconds
+const DUPLICATE_NOTIFICATION_INTERVAL = 60 * 1000;
+// When each page was last offered, by URL
+const duplicateNotifiedAt = new Map();
+
+/**
+ * Finds a tab that already shows the page a tab navigated to, compared the way
+ * the tab's duplicate rule compares pages. Same-domain rules are left to the
+ * inactivity check, as switching would lose the page that was opened.
+ * @param {browser.tabs.Tab} tab - The tab that navigated
+ * @param {Settings} settings - Current settings
+ * @returns {Promise<browser.tabs.Tab|null>} The open tab, or null when there is none
+ */
+async function findOpenDuplicate(tab, settings) {
+  const { action } = resolveTabAction(tab, settings, {
+    now: Date.now(),
+    lastAccess: await getTabLastAccess(tab.id),
+    openedAt: getTabOpenedAt(tab.id)
+  });
+  if (action !== 'duplicate' && action !== 'duplicate-no-query') {
+    return null;
+  }
+  const key = getDuplicateKey(tab.url, action, settings.urlNormalization);
+  const tabs = await browser.tabs.query({});
+  const duplicates = tabs.filter(other =>
+    other.id !== tab.id &&
+    (settings.duplicatesAcrossContainers || other.cookieStoreId === tab.cookieStoreId) &&
+    getDuplicateKey(other.url, action, settings.urlNormalization) === key
+  );
+  // Prefer the most recently used copy
+  return duplicates.sort((a, b) => b.lastAccessed - a.lastAccessed)[0] || null;
+}
+
+/**
+ * Closes a tab whose page is already open in another tab, switching to that
+ * tab when the closed one was in front
+ * @param {browser.tabs.Tab} tab - The duplicate to close
+ * @param {browser.tabs.Tab} existing - The tab that already shows the page
+ */
+async function switchToOpenDuplicate(tab, existing) {
+  if (tab.active) {
+    await browser.tabs.update(existing.id, { active: true });
+    if (existing.windowId !== tab.windowId) {
+      await browser.windows.update(existing.windowId, { focused: true });
+    }
+  }
+  console.log(`Closing tab ${tab.id}, ${tab.url} is already open in tab ${existing.id}`);
+  await addToHistory(tab, 'deduplicated');
+  await browser.tabs.remove(tab.id);
+  removeTabActivity(tab.id);
+}
+
+/**
+ * Checks whether a notification about a page may be shown now, and if so
+ * remembers that it was
+ * @param {string} url - The page
+ * @param {number} now - The current time in milliseconds
+ * @returns {boolean} Whether the page was not offered recently
+ */
+function claimDuplicateNotification(url, now) {
+  duplicateNotifiedAt.forEach((time, other) => {
+    if (now - time >= DUPLICATE_NOTIFICATION_INTERVAL) {
+      duplicateNotifiedAt.delete(other);
+    }
+  });
+  if (duplicateNotifiedAt.has(url)) {
+    return false;
+  }
+  duplicateNotifiedAt.set(url, now);
+  return true;
+}
+
+/**
+ * Handles a new tab whose first page may already be open. The new tab is
+ * closed in favor of the open copy in 'switch' mode; otherwise a notification
+ * offers to switch, once a minute at most for each page. Navigation in tabs
+ * that were already open is left alone.
+ * @param {browser.tabs.Tab} tab - The tab that navigated
+ * @param {boolean} isNew - Whether this is the first page of a new tab
+ */
+async function checkOpenedDuplicate(tab, isNew) {
+  if (!isNew) {
+    return;
+  }
+  const settings = await loadSettings();
+  if (!settings.enabled || settings.instantDuplicates === 'off' || settings.quiet) {
+    return;
+  }
+  if (tab.pinned || !/^https?:/.test(tab.url) || isTabProtected(tab.id, Date.now())) {
+    return;
+  }
+
+  const existing = await findOpenDuplicate(tab, settings);
+  if (!existing) {
+    return;
+  }
 
-    // Retrieve and integrate whitelist
-    const { whitelist = [] } = await browser.storage.sync.get({ whitelist: [] });
-    const transformedWhitelist = whitelist.map(pattern => ({ pattern, action: 'keep' }));
-    settings.patterns = transformedWhitelist.concat(settings.patterns || []);
+  if (settings.instantDuplicates === 'switch') {
+    await switchToOpenDuplicate(tab, existing);
+  } else if (settings.showNotifications && claimDuplicateNotification(tab.url, Date.now())) {
+    await browser.notifications.create(`${DUPLICATE_NOTIFICATION_PREFIX}${tab.id}:${existing.id}`, {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+      title: 'Already open',
+      message: `${existing.title || existing.url}\nClick to switch to it and close this tab.`
+    });
+  }
+}
 
-    const tabs = await browser.tabs.query({});
-    const now = Date.now();
-    const inactiveTime = settings.timeLimit * 60 * 1000;
+/**
+ * Marks a tab as seen, so it is not taken for a new tab when it is restored
+ * @param {number} tabId - The ID of the tab
+ */
+async function markTabSeen(tabId) {
+  try {
+    await browser.sessions.setTabValue(tabId, SEEN_TAB_KEY, true);
+  } catch (e) {
+    // The tab may already be gone
+  }
+}
 
-    for (const tab of tabs) {
-      const lastAccess = await getTabLastAccess(tab.id);
-      const timeSinceLastAccess = now - lastAccess;
-      const timeLeft = inactiveTime - timeSinceLastAccess;
-      
-      console.log(`Checking tab ${tab.id}: ${tab.url}`);
-      console.log(`Last access: ${new Date(lastAccess).toISOString()}`);
-      console.log(`Time since last access: ${Math.round(timeSinceLastAccess/1000)}s`);
-      console.log(`Time left before close: ${Math.round(timeLeft/1000)}s`);
-      
-      // Skip pinned tabs
-      if (tab.pinned) {
-        console.log(`Skipping pinned tab ${tab.id}: ${tab.url}`);
-        continue;
-      }
+/**
+ * Checks whether a just created tab was opened by the user rather than
+ * brought back by the session store, and marks it as seen
+ * @param {browser.tabs.Tab} tab - The created tab
+ * @returns {Promise<boolean>} Whether the tab is new
+ */
+async function isUserOpenedTab(tab) {
+  let seen = false;
+  try {
+    seen = Boolean(await browser.sessions.getTabValue(tab.id, SEEN_TAB_KEY));
+  } catch (e) {
+    // Treat tabs that can't be checked as restored
+    seen = true;
+  }
+  await markTabSeen(tab.id);
+  return !seen;
+}
 
-      // Skip if tab is still within inactive time limit
-      if (timeLeft > 0) {
-        console.log(`Tab ${tab.id} still has ${Math.round(timeLeft/1000)}s left`);
-        continue;
-      }
+/**
+ * Marks the tabs open at startup as seen. Tabs the session store restores
+ * while the extension starts are never new.
+ */
+async function markOpenTabsSeen() {
+  const tabs = await browser.tabs.query({});
+  seenTabsMarked = true;
+  await Promise.all(tabs.map(tab => markTabSeen(tab.id)));
+}
 
-      // Only check for duplicates if we're in a duplicate-based mode
-      const isDuplicateMode = settings.defaultBehavior.startsWith('duplicate');
-      const hasDuplicate = await shouldCloseTab(tab, settings, tabs);
-      
-      // For duplicate modes, only close if hasDuplicate is true
-      // For non-duplicate modes, close if it's inactive
-      const shouldClose = isDuplicateMode ? hasDuplicate : true;
-      
-      console.log(`Tab ${tab.id} - isDuplicateMode: ${isDuplicateMode}, hasDuplicate: ${hasDuplicate}, shouldClose: ${shouldClose}`);
-      
-      if (shouldClose) {
-        console.log(`Closing tab ${tab.id}: ${tab.url}`);
-        
-        if (settings.showNotifications) {
-          await browser.notifications.create({
-            type: 'basic',
-            iconUrl: browser.runtime.getURL('icons/icon-48.png'),
-            title: 'Inactive Tab Closed',
-            message: `Closed tab: ${tab.title}\nInactive for: ${Math.round((now - lastAccess) / 60000)} minutes`
-          });
-        }
+browser.tabs.onCreated.addListener(tab => {
+  if (!seenTabsMarked || tab.discarded) {
+    markTabSeen(tab.id);
+    return;
+  }
+  newTabs.set(tab.id, isUserOpenedTab(tab));
+});
 
-        await addToHistory(tab.url);
-        await browser.tabs.remove(tab.id);
-        tabActivity.delete(tab.id);
-      }
-    }
-    console.log('Finished checking inactive tabs');
+browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (!changeInfo.url || duplicateChecks.has(tabId)) {
+    return;
+  }
+  // New tabs show about:blank or the new tab page before their first page
+  const isNewCheck = newTabs.get(tabId);
+  if (/^https?:/.test(changeInfo.url)) {
+    newTabs.delete(tabId);
+  }
+  duplicateChecks.add(tabId);
+  try {
+    await checkOpenedDuplicate(tab, isNewCheck ? await isNewCheck : false);
   } catch (error) {
-    console.error('Error checking inactive tabs:', error);
+    console.error('Error checking for an open duplicate:', error);
+  } finally {
+    duplicateChecks.delete(tabId);
   }
-}
-
-// Listen for tab creation
-browser.tabs.onCreated.addListener((tab) => {
-  console.log("New tab created:", tab);
-  updateTabActivity(tab.id);
 });
 
-// Set up periodic check
-browser.alarms.create('checkInactiveTabs', {
-  periodInMinutes: 1
+browser.tabs.onRemoved.addListener(tabId => {
+  newTabs.delete(tabId);
 });
 
-browser.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'checkInactiveTabs') {
-    console.log("Checking inactive tabs...");
-    checkInactiveTabs().catch(error => {
-      console.error('Error checking inactive tabs:', error);
-    });
+// Switch to the open tab when the notification offering it is clicked
+browser.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(DUPLICATE_NOTIFICATION_PREFIX)) return;
+  const [tabId, existingId] = notificationId.slice(DUPLICATE_NOTIFICATION_PREFIX.length).split(':').map(Number);
+  try {
+    await browser.notifications.clear(notificationId);
+    const [tab, existing] = await Promise.all([browser.tabs.get(tabId), browser.tabs.get(existingId)]);
+    await switchToOpenDuplicate({ ...tab, active: true }, existing);
+  } catch (error) {
+    console.error('Error switching to the open tab:', error);
   }
 });
 
-// Set up periodic check for unloading tabs
-browser.alarms.create('checkUnloadTabs', {
-  periodInMinutes: 1
-});
+/**
+ * Adds a rule for a tab's site, or updates the rule the site already has. Site
+ * rules only have a host condition and go first, so they win over broader rules.
+ * @param {browser.tabs.Tab} tab - A tab of the site
+ * @param {RuleAction} action - The action for the site
+ * @param {number} [closeAfter] - Minutes of inactivity before closing
+ * @returns {Promise<Rule>} The saved rule
+ */
+async function setSiteRule(tab, action, closeAfter) {
+  const host = getDomain(tab.url);
+  if (!/^https?:/.test(tab.url) || !host) {
+    throw new Error(`Cannot add a site rule for ${tab.url}`);
+  }
+  const { rules } = await getSettings();
+  const isSiteRule = rule => !rule.ruleSet &&
+    Object.keys(rule.conditions).length === 1 && rule.conditions.host === host;
+  const existing = rules.find(isSiteRule);
+  const rule = { id: existing ? existing.id : createId(), priority: 0, conditions: { host }, action };
+  if (closeAfter) {
+    rule.closeAfter = closeAfter;
+  }
+  const updated = [rule].concat(rules.filter(other => !isSiteRule(other)))
+    .map((other, i) => ({ ...other, priority: i * 10 }));
+  const result = await updateSettings({ rules: updated });
+  if (!result.saved) {
+    throw new Error(result.errors.join('; '));
+  }
+  console.log(`Site rule for ${host}: ${action}${closeAfter ? ` after ${closeAfter} minutes` : ''}`);
+  return rule;
+}
 
-// Track last unload time
-let lastUnloadTime = 0;
+/**
+ * Reopens the most recently closed tab that can still be restored
+ * @returns {Promise<boolean>} Whether a tab was restored
+ */
+async function restoreLastClosedTab() {
+  const { entries } = await queryHistory({ restorable: true, limit: 1 });
+  if (entries.length === 0) {
+    return false;
+  }
+  return await restoreHistoryEntries([entries[0].id]) > 0;
+}
 
-// Unload (discard) all eligible tabs if unloadTimeout has passed
-async function checkUnloadTabs() {
-  try {
-    console.log('Starting unload tabs check...');
-    const settings = await browser.storage.sync.get({
-      unloadTimeout: 30,
-      enabled: true
+/**
+ * @typedef {Object} TabPreview
+ * @property {number} tabId - The ID of the tab
+ * @property {string} title - The title of the tab
+ * @property {string} url - The URL of the tab
+ * @property {string} [favIconUrl] - The favicon of the tab
+ * @property {string} domain - The domain of the tab
+ * @property {number} windowId - The window the tab is in
+ * @property {number} index - The position of the tab in its window
+ * @property {('close'|'unload'|'kill'|'keep')} action - What will happen to the tab next
+ * @property {string} reason - Why that will happen
+ * @property {{id: string, label: string}|null} rule - The rule that decided it
+ * @property {number|null} timeLeft - Milliseconds until the action, null for 'keep'
+ * @property {number} inactiveFor - Milliseconds of inactivity on the configured clock
+ * @property {number} wallInactiveFor - Milliseconds since the tab was last used
+ */
+
+/**
+ * Summarizes a rule for display
+ * @param {Rule} rule - The rule to describe
+ * @returns {string} A short label for the rule
+ */
+function describeRule(rule) {
+  const conditions = rule.conditions || {};
+  const label = conditions.url || conditions.host || conditions.title || conditions.path;
+  return label || `Rule ${rule.id}`;
+}
+
+/**
+ * Works out what will happen next to a tab and when
+ * @param {browser.tabs.Tab} tab - The tab to plan for
+ * @param {Object} settings - Current settings
+ * @param {browser.tabs.Tab[]} allTabs - All open tabs
+ * @param {number} now - The current time in milliseconds
+ * @param {Set<number>} [overBudget] - IDs of tabs outside the loaded tab budget
+ * @param {Map<number, {action: string, domain: string}>} [overQuota] - Tabs over the quota of their rule
+ * @param {Map<string, string>} [duplicateKeys] - Duplicate keys cached for the current run
+ * @returns {{action: string, reason: string, rule: (Rule|null), timeLeft: (number|null), inactiveFor: number}} The next
+ *   action, and how long the tab has been inactive on the configured clock
+ */
+function planTab(tab, settings, allTabs, now, overBudget = new Set(), overQuota = new Map(), duplicateKeys = new Map()) {
+  const lastAccess = tabActivity.get(tab.id) || now;
+  const keep = (reason, rule = null) => ({
+    action: 'keep',
+    reason,
+    rule,
+    timeLeft: null,
+    inactiveFor: getElapsedTime(lastAccess, now, settings)
+  });
+
+  if (!settings.enabled) {
+    return keep('Extension is disabled');
+  }
+
+  const { action, rule } = resolveTabAction(tab, settings, {
+    now,
+    lastAccess,
+    openedAt: getTabOpenedAt(tab.id)
+  });
+
+  if (action === 'keep') {
+    const busyReasons = getBusyReasons(tab);
+    if (busyReasons.length > 0) {
+      return keep(`Busy: ${busyReasons.join(', ')}`);
+    }
+    if (protectedTabs.has(tab.id)) {
+      const until = protectedTabs.get(tab.id);
+      return keep(until === null ? 'Protected' : `Protected until ${new Date(until).toLocaleString()}`);
+    }
+    if (rule) return keep('Kept by rule', rule);
+    if (tab.pinned) return keep('Pinned tab');
+    if (tab.url.startsWith('about:')) return keep('Browser page');
+    return keep('Default behavior is never close');
+  }
+
+  if (tab.discarded) {
+    const discardedAt = discardedTabs.get(tab.id);
+    if (settings.autoKillUnloaded && discardedAt && settings.quiet) {
+      return keep('Quiet hours, not killing unloaded tabs', rule);
+    }
+    if (settings.autoKillUnloaded && discardedAt) {
+      const { killAfter } = getTabTimeouts(rule, settings);
+      return {
+        action: 'kill',
+        reason: `Unloaded for more than ${formatKillAge(killAfter)} (${rule && rule.killAfter > 0 ? 'rule' : 'default behavior'})`,
+        rule,
+        timeLeft: Math.max(0, discardedAt + killAfter * 60 * 1000 - now),
+        inactiveFor: getElapsedTime(lastAccess, now, settings)
+      };
+    }
+    return keep(settings.autoKillUnloaded ? 'Already unloaded' : 'Already unloaded, auto-kill is off', rule);
+  }
+
+  if (tab.active) {
+    return keep('Active tab', rule);
+  }
+
+  const { closeAfter, unloadAfter } = getTabTimeouts(rule, settings);
+  const source = rule ? 'rule' : 'default behavior';
+  const inactiveFor = getElapsedTime(lastAccess, now, settings);
+  const candidates = [];
+
+  if (action === 'unload') {
+    candidates.push({
+      action: 'unload',
+      reason: `Inactive for ${unloadAfter || closeAfter} min (${source})`,
+      timeLeft: (unloadAfter || closeAfter) * 60 * 1000 - inactiveFor
     });
-    if (!settings.enabled) {
-      console.log('Extension is disabled, skipping unload check');
-      return;
+  } else {
+    if (!settings.quiet && shouldCloseTab(tab, action, allTabs, settings, duplicateKeys)) {
+      candidates.push({
+        action: 'close',
+        reason: action === 'close'
+          ? `Inactive for ${closeAfter} min (${source})`
+          : `Older duplicate, inactive for ${closeAfter} min (${source})`,
+        timeLeft: closeAfter * 60 * 1000 - inactiveFor
+      });
     }
-    const now = Date.now();
-    if (!lastUnloadTime) lastUnloadTime = now;
-    const unloadInterval = (settings.unloadTimeout || 30) * 60 * 1000;
-    if (now - lastUnloadTime < unloadInterval) {
-      console.log(`Unload interval not yet passed. Time left: ${Math.round((unloadInterval - (now - lastUnloadTime)) / 60000)} minutes`);
-      return;
+
+    const quota = overQuota.get(tab.id);
+    if (quota && (quota.action === 'unload' || !settings.quiet)) {
+      candidates.push({
+        action: quota.action,
+        reason: `More than ${rule.quota || 1} tabs on ${quota.domain} (rule)`,
+        timeLeft: 0
+      });
     }
-    const tabs = await browser.tabs.query({});
-    for (const tab of tabs) {
-      if (tab.pinned || tab.active || tab.discarded) continue;
-      // Only unload normal tabs
-      try {
-        await browser.tabs.discard(tab.id);
-        console.log(`Unloaded tab ${tab.id}: ${tab.url}`);
-        // Add unloaded tab to logs
-        await addToHistory(tab.url, 'unloaded');
-      } catch (e) {
-        console.error('Error unloading tab:', tab.id, e);
+
+    if (unloadAfter) {
+      candidates.push({
+        action: 'unload',
+        reason: `Inactive for ${unloadAfter} min (rule)`,
+        timeLeft: unloadAfter * 60 * 1000 - inactiveFor
+      });
+    }
+    if (settings.unloadMode === 'budget') {
+      if (overBudget.has(tab.id)) {
+        candidates.push({
+          action: 'unload',
+          reason: `Outside the ${settings.loadedTabBudget} most recently used tabs`,
+          timeLeft: 0
+        });
       }
+    } else if (!unloadAfter) {
+      const unloadInterval = (settings.unloadTimeout || 30) * 60 * 1000;
+      candidates.push({
+        action: 'unload',
+        reason: `Unload sweep every ${settings.unloadTimeout || 30} min`,
+        timeLeft: unloadInterval - (lastUnloadTime ? getElapsedTime(lastUnloadTime, now, settings) : 0)
+      });
     }
-    lastUnloadTime = now;
-  } catch (e) {
-    console.error('Error in checkUnloadTabs:', e);
   }
+
+  if (candidates.length === 0) {
+    return keep('Within the loaded tab budget', rule);
+  }
+
+  const next = candidates.reduce((earliest, candidate) =>
+    !earliest || candidate.timeLeft < earliest.timeLeft ? candidate : earliest, null);
+  return {
+    action: next.action,
+    reason: next.reason,
+    rule,
+    timeLeft: Math.max(0, next.timeLeft),
+    inactiveFor
+  };
 }
 
-// Listen for alarms
-browser.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'checkInactiveTabs') {
-    console.log("Checking inactive tabs...");
-    checkInactiveTabs().catch(error => {
-      console.error('Error checking inactive tabs:', error);
-    });
-  } else if (alarm.name === 'checkUnloadTabs') {
-    checkUnloadTabs().catch(error => {
-      console.error('Error checking unload tabs:', error);
-    });
+/**
+ * Lists what will happen next to every open tab
+ * @returns {Promise<{generatedAt: number, tabs: TabPreview[], inactivityClock: string, idle: boolean}>} The preview
+ */
+async function getPreview() {
+  const settings = await loadSettings();
+  const tabs = await browser.tabs.query({});
+  const now = Date.now();
+  const overBudget = settings.unloadMode === 'budget'
+    ? new Set(selectTabsOverBudget(tabs, settings, now).map(tab => tab.id))
+    : new Set();
+  const overQuota = selectTabsOverQuota(tabs, settings, now);
+  const duplicateKeys = new Map();
+
+  return {
+    generatedAt: now,
+    tabs: tabs.map(tab => {
+      const plan = planTab(tab, settings, tabs, now, overBudget, overQuota, duplicateKeys);
+      return {
+        tabId: tab.id,
+        title: tab.title || tab.url,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        domain: getDomain(tab.url),
+        windowId: tab.windowId,
+        index: tab.index,
+        action: plan.action,
+        reason: plan.reason,
+        rule: plan.rule ? { id: plan.rule.id, label: describeRule(plan.rule) } : null,
+        timeLeft: plan.timeLeft,
+        inactiveFor: plan.inactiveFor,
+        wallInactiveFor: now - (tabActivity.get(tab.id) || now)
+      };
+    }),
+    inactivityClock: settings.inactivityClock,
+    idle: idlePeriods.some(period => period.end === null)
+  };
+}
+
+// Listen for messages from popup
+browser.runtime.onMessage.addListener((message, sender) => {
+  switch (message.action) {
+    case 'busySignals':
+      if (sender.tab) {
+        recordBusySignals(sender.tab.id, sender.frameId, message.signals);
+      }
+      break;
+    case 'unloadInactiveTabs':
+      manuallyUnloadInactiveTabs();
+      break;
+    case 'restoreTabs':
+      return restoreHistoryEntries(message.entryIds);
+    case 'restoreSweep':
+      return restoreSweep(message.sweepId);
+    case 'queryHistory':
+      return queryHistory(message.query);
+    case 'getPreview':
+      return getPreview();
+    case 'protectTab':
+      return protectTab(message.tabId, message.duration);
+    case 'unprotectTab':
+      return unprotectTab(message.tabId);
+    case 'getUnloadedTabs':
+      return getUnloadedTabs();
+    case 'getProtectedTabs':
+      return getProtectedTabs();
+    case 'getScheduleStatus':
+      return getScheduleStatus();
+    case 'getSettings':
+      return getSettings();
+    case 'updateSettings':
+      return updateSettings(message.changes);
+    case 'getStorageStatus':
+      return getStorageStatus();
+    case 'getContainers':
+      return getContainers();
+    case 'getArchiveFolders':
+      return getArchiveFolders();
+    case 'openArchiveFolder':
+      return openArchiveFolder(message.folderId);
+    case 'exportSettings':
+      return exportSettings();
+    case 'importSettings':
+      return importSettings(message.data);
   }
 });
 
-// Initialize extension
-initializeTabActivity().catch(error => {
-  console.error('Error initializing tab activity:', error);
+// Tab context menu for protecting tabs
+const PROTECTION_MENU_ITEMS = [
+  { id: 'protect-1h', title: 'For 1 hour', duration: '1h' },
+  { id: 'protect-4h', title: 'For 4 hours', duration: '4h' },
+  { id: 'protect-tomorrow', title: 'Until tomorrow', duration: 'tomorrow' },
+  { id: 'protect-forever', title: 'Forever', duration: 'forever' }
+];
+
+browser.menus.create({
+  id: 'protect',
+  title: 'Keep this tab',
+  contexts: ['tab']
+});
+PROTECTION_MENU_ITEMS.forEach(item => {
+  browser.menus.create({
+    id: item.id,
+    parentId: 'protect',
+    title: item.title,
+    contexts: ['tab']
+  });
+});
+browser.menus.create({
+  id: 'protect-separator',
+  parentId: 'protect',
+  type: 'separator',
+  contexts: ['tab']
+});
+browser.menus.create({
+  id: 'unprotect',
+  parentId: 'protect',
+  title: 'Remove protection',
+  contexts: ['tab']
 });
 
-// Function to manually unload inactive tabs
-async function manuallyUnloadInactiveTabs() {
-  try {
-    console.log('Manually unloading inactive tabs...');
-    const settings = await browser.storage.sync.get({
-      timeLimit: 2,
-      enabled: true
-    });
+// Inactivity times offered by "Always close this site after"
+const CLOSE_AFTER_MENU_MINUTES = [5, 15, 30, 60];
 
-    if (!settings.enabled) {
-      console.log('Extension is disabled, skipping manual unload');
-      return;
+// Menu items that act on a tab or its site, shown on tabs and pages
+const TAB_MENU_HANDLERS = {
+  'site-keep': async tab => {
+    await setSiteRule(tab, 'keep');
+    flashBadge('✓', BADGE_SUCCESS_COLOR);
+  },
+  'unload-tab': async tab => {
+    const sweepId = createId();
+    let unloaded = false;
+    try {
+      unloaded = await unloadTabNow(tab, sweepId);
+    } finally {
+      await notifySweep(sweepId);
     }
+    flashCount(unloaded ? 1 : 0);
+  },
+  'unload-other-tabs': async tab => {
+    flashCount(await unloadOtherTabs(tab));
+  },
+  'close-duplicates-of-tab': async tab => {
+    flashCount(await closeDuplicatesOf(tab));
+  }
+};
+CLOSE_AFTER_MENU_MINUTES.forEach(minutes => {
+  TAB_MENU_HANDLERS[`site-close-${minutes}`] = async tab => {
+    await setSiteRule(tab, 'close', minutes);
+    flashBadge('✓', BADGE_SUCCESS_COLOR);
+  };
+});
+
+browser.menus.create({
+  id: 'site-keep',
+  title: 'Never close this site',
+  contexts: ['tab', 'page']
+});
+browser.menus.create({
+  id: 'site-close',
+  title: 'Always close this site after',
+  contexts: ['tab', 'page']
+});
+CLOSE_AFTER_MENU_MINUTES.forEach(minutes => {
+  browser.menus.create({
+    id: `site-close-${minutes}`,
+    parentId: 'site-close',
+    title: `${minutes} minutes`,
+    contexts: ['tab', 'page']
+  });
+});
+browser.menus.create({
+  id: 'tab-actions-separator',
+  type: 'separator',
+  contexts: ['tab', 'page']
+});
+browser.menus.create({
+  id: 'unload-tab',
+  title: 'Unload this tab',
+  contexts: ['tab', 'page']
+});
+browser.menus.create({
+  id: 'unload-other-tabs',
+  title: 'Unload other tabs in this window',
+  contexts: ['tab', 'page']
+});
+browser.menus.create({
+  id: 'close-duplicates-of-tab',
+  title: 'Close duplicates of this tab',
+  contexts: ['tab', 'page']
+});
+
+browser.menus.onClicked.addListener((info, tab) => {
+  const protectionItem = PROTECTION_MENU_ITEMS.find(item => item.id === info.menuItemId);
+  const tabHandler = TAB_MENU_HANDLERS[info.menuItemId];
+  let result;
+  if (protectionItem) {
+    result = protectTab(tab.id, protectionItem.duration);
+  } else if (info.menuItemId === 'unprotect') {
+    result = unprotectTab(tab.id);
+  } else if (tabHandler) {
+    result = tabHandler(tab).catch(error => {
+      flashBadge('!', BADGE_ERROR_COLOR);
+      throw error;
+    });
+  }
+  if (result) {
+    result.catch(error => {
+      console.error(`Error running menu item ${info.menuItemId}:`, error);
+    });
+  }
+});
+
+// How long command feedback stays on the toolbar button
+const BADGE_FLASH_MS = 2000;
+const BADGE_SUCCESS_COLOR = '#2e7d32';
+const BADGE_IDLE_COLOR = '#6b7280';
+const BADGE_ERROR_COLOR = '#d70022';
+
+// Tabs that close within this time are counted on the badge
+const BADGE_CLOSING_SOON_MS = 60 * 1000;
+const BADGE_CLOSING_COLOR = '#d97706';
+const BADGE_UNLOADED_COLOR = '#0060df';
+const BADGE_QUIET_COLOR = '#7c3aed';
+const BADGE_TITLE = 'Auto Tab Killer';
+
+// Command feedback shown instead of the counts, while it lasts
+let badgeFlash = null;
+let badgeFlashTimer = null;
+let badgeUpdateTimer = null;
+
+/**
+ * Works out the badge of one window: how many of its tabs close within the
+ * next minute, or else how many are unloaded
+ * @param {browser.tabs.Tab[]} windowTabs - The tabs of the window
+ * @param {Settings} settings - Current settings
+ * @param {browser.tabs.Tab[]} allTabs - All open tabs
+ * @param {number} now - The current time in milliseconds
+ * @param {Map<string, string>} [duplicateKeys] - Duplicate keys cached for the current update
+ * @returns {{text: string, color: string, title: string}} The badge
+ */
+function getWindowBadge(windowTabs, settings, allTabs, now, duplicateKeys = new Map()) {
+  if (!settings.enabled) {
+    return { text: 'OFF', color: BADGE_IDLE_COLOR, title: `${BADGE_TITLE} (off)` };
+  }
+
+  const closing = windowTabs.filter(tab => {
+    const plan = planTab(tab, settings, allTabs, now, new Set(), new Map(), duplicateKeys);
+    return (plan.action === 'close' || plan.action === 'kill') && plan.timeLeft <= BADGE_CLOSING_SOON_MS;
+  }).length;
+  const unloaded = windowTabs.filter(tab => tab.discarded).length;
+  const details = [];
+  if (closing > 0) details.push(`${formatTabCount(closing)} close within a minute`);
+  if (unloaded > 0) details.push(`${formatTabCount(unloaded)} unloaded`);
+  const title = details.length > 0 ? `${BADGE_TITLE}: ${details.join(', ')}` : BADGE_TITLE;
+
+  // Nothing closes during quiet hours, so only the unloaded tabs are counted
+  if (settings.quiet) {
+    return {
+      text: `☾${unloaded > 0 ? unloaded : ''}`,
+      color: BADGE_QUIET_COLOR,
+      title: `${BADGE_TITLE} (quiet hours)${unloaded > 0 ? `: ${formatTabCount(unloaded)} unloaded` : ''}`
+    };
+  }
+  if (closing > 0) {
+    return { text: String(closing), color: BADGE_CLOSING_COLOR, title };
+  }
+  return { text: unloaded > 0 ? String(unloaded) : '', color: BADGE_UNLOADED_COLOR, title };
+}
 
+/**
+ * Shows the state of each window on its toolbar button
+ */
+async function updateBadge() {
+  try {
+    const settings = await loadSettings();
     const tabs = await browser.tabs.query({});
     const now = Date.now();
-    const inactiveTime = settings.timeLimit * 60 * 1000;
+    const windowIds = new Set(tabs.map(tab => tab.windowId));
+    const duplicateKeys = new Map();
 
-    for (const tab of tabs) {
-      if (tab.pinned || tab.active || tab.discarded) continue;
-      
-      const lastAccess = await getTabLastAccess(tab.id);
-      const timeSinceLastAccess = now - lastAccess;
-      
-      if (timeSinceLastAccess >= inactiveTime) {
-        try {
-          await browser.tabs.discard(tab.id);
-          console.log(`Manually unloaded tab ${tab.id}: ${tab.url}`);
-          await addToHistory(tab.url, 'unloaded');
-        } catch (e) {
-          console.error('Error unloading tab:', tab.id, e);
-        }
+    for (const windowId of windowIds) {
+      const badge = badgeFlash ||
+        getWindowBadge(tabs.filter(tab => tab.windowId === windowId), settings, tabs, now, duplicateKeys);
+      await browser.browserAction.setBadgeText({ text: badge.text, windowId });
+      await browser.browserAction.setBadgeBackgroundColor({ color: badge.color, windowId });
+      if (badge.title) {
+        await browser.browserAction.setTitle({ title: badge.title, windowId });
       }
     }
-  } catch (e) {
-    console.error('Error in manual unload:', e);
+  } catch (error) {
+    console.error('Error updating badge:', error);
   }
 }
 
-// Listen for messages from popup
-browser.runtime.onMessage.addListener((message) => {
-  if (message.action === 'unloadInactiveTabs') {
-    manuallyUnloadInactiveTabs();
+/**
+ * Updates the badge shortly, so a burst of tab events updates it once
+ */
+function scheduleBadgeUpdate() {
+  if (badgeUpdateTimer) return;
+  badgeUpdateTimer = setTimeout(() => {
+    badgeUpdateTimer = null;
+    updateBadge();
+  }, 250);
+}
+
+/**
+ * Shows short feedback on the toolbar button for a moment
+ * @param {string} text - The badge text, at most four characters
+ * @param {string} color - The badge background color
+ */
+function flashBadge(text, color) {
+  clearTimeout(badgeFlashTimer);
+  badgeFlash = { text, color };
+  updateBadge();
+  badgeFlashTimer = setTimeout(() => {
+    badgeFlashTimer = null;
+    badgeFlash = null;
+    updateBadge();
+  }, BADGE_FLASH_MS);
+}
+
+// Keep the badge in step with the tabs
+browser.tabs.onCreated.addListener(scheduleBadgeUpdate);
+browser.tabs.onRemoved.addListener(scheduleBadgeUpdate);
+browser.tabs.onActivated.addListener(scheduleBadgeUpdate);
+browser.tabs.onAttached.addListener(scheduleBadgeUpdate);
+browser.tabs.onDetached.addListener(scheduleBadgeUpdate);
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if ('discarded' in changeInfo || 'url' in changeInfo || 'pinned' in changeInfo || 'audible' in changeInfo) {
+    scheduleBadgeUpdate();
+  }
+});
+
+updateBadge();
+
+/**
+ * Shows how many tabs a command acted on
+ * @param {number} count - The number of tabs
+ */
+function flashCount(count) {
+  flashBadge(String(count), count > 0 ? BADGE_SUCCESS_COLOR : BADGE_IDLE_COLOR);
+}
+
+/**
+ * Gets the active tab of the current window
+ * @returns {Promise<browser.tabs.Tab|undefined>} The active tab
+ */
+async function getCurrentTab() {
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  return tab;
+}
+
+// Keyboard commands from manifest.json, each shows its result on the badge
+const COMMAND_HANDLERS = {
+  'unload-inactive': async () => {
+    flashCount(await manuallyUnloadInactiveTabs());
+  },
+  'close-duplicates': async () => {
+    flashCount(await closeDuplicateTabs());
+  },
+  'toggle-protection': async () => {
+    const tab = await getCurrentTab();
+    if (tab) {
+      const isProtected = await toggleTabProtection(tab.id);
+      flashBadge(isProtected ? '🔒' : '🔓', isProtected ? BADGE_SUCCESS_COLOR : BADGE_IDLE_COLOR);
+    }
+  },
+  'toggle-enabled': async () => {
+    const enabled = !await getSetting('enabled');
+    const result = await setSetting('enabled', enabled);
+    if (!result.saved) {
+      throw new Error(result.errors.join('; '));
+    }
+    flashBadge(enabled ? 'ON' : 'OFF', enabled ? BADGE_SUCCESS_COLOR : BADGE_IDLE_COLOR);
+  },
+  'restore-last-closed': async () => {
+    flashCount(await restoreLastClosedTab() ? 1 : 0);
+  }
+};
+
+// Listen for keyboard shortcuts
+browser.commands.onCommand.addListener(async (command) => {
+  const handler = COMMAND_HANDLERS[command];
+  if (!handler) return;
+  try {
+    await handler();
+  } catch (error) {
+    console.error(`Error running command ${command}:`, error);
+    flashBadge('!', BADGE_ERROR_COLOR);
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,110 @@
+/**
+ * Reports signals that a page is in use to the background page, so tabs with
+ * unsaved input or playing media are not closed or unloaded. Uploads are
+ * watched by the background page itself.
+ */
+
+/**
+ * @typedef {Object} BusySignals
+ * @property {boolean} editedForm - A form field was changed and not submitted
+ * @property {boolean} playingMedia - Audio or video with sound is playing
+ */
+
+// Form fields the user changed since the page loaded or the form was submitted
+const editedFields = new Set();
+
+// What a page that is not busy reports
+const IDLE_REPORT = JSON.stringify({ editedForm: false, playingMedia: false });
+
+let lastReport = IDLE_REPORT;
+let reportTimer = null;
+
+/**
+ * Checks whether a form field holds something other than what the page put there
+ * @param {HTMLElement} field - The field to check
+ * @returns {boolean} Whether the field was edited
+ */
+function isFieldEdited(field) {
+  if (!field.isConnected) return false;
+  if (field.isContentEditable) return field.textContent.trim() !== '';
+  if (field.type === 'checkbox' || field.type === 'radio') return field.checked !== field.defaultChecked;
+  if (field.type === 'file') return field.files.length > 0;
+  if (field.tagName === 'SELECT') return Array.from(field.options).some(option => option.selected !== option.defaultSelected);
+  return field.value !== field.defaultValue;
+}
+
+/**
+ * Checks whether any audio or video is playing with sound
+ * @returns {boolean} Whether media is playing
+ */
+function isMediaPlaying() {
+  return Array.from(document.querySelectorAll('audio, video')).some(media =>
+    !media.paused && !media.ended && !media.muted && media.volume > 0 && media.readyState > 2
+  );
+}
+
+/**
+ * Collects the current busy signals of the page
+ * @returns {BusySignals} The signals
+ */
+function getSignals() {
+  return {
+    editedForm: Array.from(editedFields).some(isFieldEdited),
+    playingMedia: isMediaPlaying()
+  };
+}
+
+/**
+ * Sends the signals to the background page when they changed. Reports are
+ * batched, as typing fires many input events.
+ */
+function scheduleReport() {
+  if (reportTimer) return;
+  reportTimer = setTimeout(() => {
+    reportTimer = null;
+    const report = JSON.stringify(getSignals());
+    if (report === lastReport) return;
+    lastReport = report;
+    browser.runtime.sendMessage({ action: 'busySignals', signals: JSON.parse(report) }).catch(error => {
+      console.error('Error reporting busy signals:', error);
+    });
+  }, 500);
+}
+
+// Frames can navigate without the tab loading a new page, so clear this
+// document's signals when it goes away
+window.addEventListener('pagehide', () => {
+  if (lastReport !== IDLE_REPORT) {
+    lastReport = IDLE_REPORT;
+    browser.runtime.sendMessage({ action: 'busySignals', signals: JSON.parse(IDLE_REPORT) }).catch(() => {});
+  }
+});
+
+document.addEventListener('input', event => {
+  const field = event.composedPath()[0];
+  if (field instanceof HTMLElement) {
+    editedFields.add(field.isContentEditable ? field.closest('[contenteditable]') || field : field);
+    scheduleReport();
+  }
+}, true);
+
+document.addEventListener('change', event => {
+  if (event.target instanceof HTMLElement) {
+    editedFields.add(event.target);
+    scheduleReport();
+  }
+}, true);
+
+// Submitted forms no longer hold unsaved input
+document.addEventListener('submit', event => {
+  editedFields.forEach(field => {
+    if (event.target.contains(field)) {
+      editedFields.delete(field);
+    }
+  });
+  scheduleReport();
+}, true);
+
+['play', 'playing', 'pause', 'ended', 'volumechange', 'emptied'].forEach(type => {
+  document.addEventListener(type, scheduleReport, true);
+});
@@ -0,0 +1,293 @@
+/**
+ * Full history page: searches the closed tab history in the background page
+ * and loads more entries as the list is scrolled
+ */
+
+// History entry types that can be reopened, keep in sync with background.js
+const RESTORABLE_TYPES = ['closed', 'killed', 'evicted', 'deduplicated'];
+
+// Name of tabs that are in no container, keep in sync with background.js
+const NO_CONTAINER_NAME = 'No Container';
+
+// Keep in sync with popup.js
+const HISTORY_TYPE_LABELS = {
+  closed: 'Closed',
+  unloaded: 'Unloaded',
+  killed: 'Killed',
+  evicted: 'Closed (tab limit)',
+  'evicted-unloaded': 'Unloaded (tab limit)',
+  deduplicated: 'Closed (already open)'
+};
+
+// Sweep the page was opened for from a notification, if any
+const sweepFilter = new URLSearchParams(location.search).get('sweep');
+
+// The filters of the current search
+let currentQuery = {};
+// Key to continue the current search from, null once every entry is shown
+let nextKey = null;
+let loading = false;
+// Increases with every new search, so pages of an older search are dropped
+let searchGeneration = 0;
+// Sweeps that already show a "Restore all" button
+const sweepButtonsShown = new Set();
+
+/**
+ * Checks whether a history entry can still be reopened
+ * @param {Object} entry - The history entry
+ * @returns {boolean} Whether the entry can be restored
+ */
+function isRestorable(entry) {
+  return Boolean(entry.id) && RESTORABLE_TYPES.includes(entry.type) && !entry.restoredAt;
+}
+
+/**
+ * Converts a date input value to milliseconds
+ * @param {string} value - The value of the date input, YYYY-MM-DD
+ * @param {boolean} endOfDay - Whether to return the last millisecond of the day
+ * @returns {number|undefined} The time, or undefined when no date is set
+ */
+function parseDateInput(value, endOfDay) {
+  if (!value) return undefined;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  if (endOfDay) {
+    date.setDate(date.getDate() + 1);
+    return date.getTime() - 1;
+  }
+  return date.getTime();
+}
+
+/**
+ * Reads the filters from the form
+ * @returns {Object} The history query
+ */
+function getQuery() {
+  const type = document.getElementById('type').value;
+  return {
+    text: document.getElementById('text').value.trim(),
+    types: type ? type.split(',') : [],
+    domain: document.getElementById('domain').value.trim(),
+    from: parseDateInput(document.getElementById('from').value, false),
+    to: parseDateInput(document.getElementById('to').value, true),
+    sweepId: sweepFilter || undefined
+  };
+}
+
+/**
+ * Marks history items as restored and removes their restore buttons
+ * @param {HTMLElement[]} items - The items to mark
+ */
+function markRestored(items) {
+  items.forEach(item => {
+    const actions = item.querySelector('.history-actions');
+    if (actions) actions.remove();
+    const meta = item.querySelector('.history-meta');
+    if (!meta.textContent.endsWith('Restored')) {
+      meta.textContent += ' · Restored';
+    }
+  });
+}
+
+/**
+ * Creates a restore button
+ * @param {string} label - The button text
+ * @param {Object} message - The restore message to send
+ * @param {function(): HTMLElement[]} getItems - Returns the items the restore covers
+ * @returns {HTMLButtonElement} The button
+ */
+function createRestoreButton(label, message, getItems) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    button.textContent = 'Restoring...';
+    try {
+      await browser.runtime.sendMessage(message);
+      markRestored(getItems());
+    } catch (error) {
+      console.error('Error restoring tabs:', error);
+      button.textContent = 'Error!';
+      setTimeout(() => {
+        button.textContent = label;
+        button.disabled = false;
+      }, 2000);
+    }
+  });
+  return button;
+}
+
+/**
+ * Creates the list item for a history entry
+ * @param {Object} entry - The history entry
+ * @param {Object<string, number>} sweepSizes - Restorable tabs per sweep
+ * @returns {HTMLElement} The item
+ */
+function createHistoryItem(entry, sweepSizes) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+  if (entry.sweepId) {
+    item.dataset.sweepId = entry.sweepId;
+  }
+
+  const icon = document.createElement('img');
+  icon.className = 'history-icon';
+  icon.alt = '';
+  if (entry.favIconUrl) {
+    icon.src = entry.favIconUrl;
+  }
+  item.appendChild(icon);
+
+  const details = document.createElement('div');
+  details.className = 'history-details';
+
+  const url = document.createElement('div');
+  url.className = 'history-url';
+  const link = document.createElement('a');
+  link.href = entry.url;
+  link.target = '_blank';
+  link.textContent = entry.title || entry.url;
+  link.title = entry.url;
+  url.appendChild(link);
+  details.appendChild(url);
+
+  const meta = document.createElement('div');
+  meta.className = 'history-meta';
+  const labels = [new Date(entry.timestamp).toLocaleString(), HISTORY_TYPE_LABELS[entry.type] || 'Closed'];
+  if (entry.containerName && entry.containerName !== NO_CONTAINER_NAME) {
+    labels.push(entry.containerName);
+  }
+  if (entry.restoredAt) {
+    labels.push('Restored');
+  }
+  meta.textContent = labels.join(' · ');
+  details.appendChild(meta);
+  item.appendChild(details);
+
+  if (isRestorable(entry)) {
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.appendChild(createRestoreButton('Restore', { action: 'restoreTabs', entryIds: [entry.id] }, () => [item]));
+
+    // Offer the sweep restore once, on the most recent entry of the sweep
+    const sweepSize = sweepSizes[entry.sweepId] || 0;
+    if (sweepSize > 1 && !sweepButtonsShown.has(entry.sweepId)) {
+      sweepButtonsShown.add(entry.sweepId);
+      actions.appendChild(createRestoreButton(
+        `Restore sweep (${sweepSize})`,
+        { action: 'restoreSweep', sweepId: entry.sweepId },
+        () => Array.from(document.querySelectorAll('.history-item'))
+          .filter(other => other.dataset.sweepId === entry.sweepId)
+      ));
+    }
+
+    item.appendChild(actions);
+  }
+
+  return item;
+}
+
+/**
+ * Loads the next page of the current search and appends it to the list
+ */
+async function loadMore() {
+  if (loading || (nextKey === null && document.getElementById('history').childElementCount > 0)) return;
+  loading = true;
+  const generation = searchGeneration;
+  const sentinel = document.getElementById('sentinel');
+  sentinel.textContent = 'Loading...';
+
+  try {
+    const query = Object.assign({}, currentQuery, nextKey ? { after: nextKey } : {});
+    const { entries, next, sweepSizes } = await browser.runtime.sendMessage({ action: 'queryHistory', query });
+    if (generation !== searchGeneration) return;
+
+    const list = document.getElementById('history');
+    entries.forEach(entry => list.appendChild(createHistoryItem(entry, sweepSizes)));
+    nextKey = next;
+
+    if (list.childElementCount === 0) {
+      sentinel.textContent = 'No matching tabs.';
+    } else {
+      sentinel.textContent = next ? '' : 'End of history.';
+    }
+  } catch (error) {
+    console.error('Error loading history:', error);
+    sentinel.textContent = 'Error loading history.';
+  } finally {
+    if (generation === searchGeneration) {
+      loading = false;
+      // Keep loading while the list does not fill the page yet
+      if (nextKey && isSentinelVisible()) {
+        loadMore();
+      }
+    }
+  }
+}
+
+/**
+ * Checks whether the end of the list is on screen
+ * @returns {boolean} Whether more entries should be loaded
+ */
+function isSentinelVisible() {
+  return document.getElementById('sentinel').getBoundingClientRect().top < window.innerHeight;
+}
+
+/**
+ * Starts a new search with the filters from the form
+ */
+function search() {
+  searchGeneration++;
+  loading = false;
+  currentQuery = getQuery();
+  nextKey = null;
+  sweepButtonsShown.clear();
+  document.getElementById('history').innerHTML = '';
+  loadMore();
+}
+
+/**
+ * Shows the banner of a sweep opened from a notification, with an Undo button
+ * that restores every tab the sweep closed
+ */
+function showSweepBanner() {
+  document.getElementById('sweepBanner').hidden = false;
+  const undoButton = document.getElementById('undoSweep');
+  undoButton.addEventListener('click', async () => {
+    undoButton.disabled = true;
+    try {
+      const restored = await browser.runtime.sendMessage({ action: 'restoreSweep', sweepId: sweepFilter });
+      document.getElementById('sweepSummary').textContent = `Restored ${restored} ${restored === 1 ? 'tab' : 'tabs'}.`;
+      search();
+    } catch (error) {
+      console.error('Error undoing sweep:', error);
+      undoButton.disabled = false;
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (sweepFilter) {
+    showSweepBanner();
+  }
+
+  let searchTimer = null;
+  const scheduleSearch = () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(search, 300);
+  };
+  ['text', 'domain'].forEach(id => {
+    document.getElementById(id).addEventListener('input', scheduleSearch);
+  });
+  ['type', 'from', 'to'].forEach(id => {
+    document.getElementById(id).addEventListener('change', search);
+  });
+
+  new IntersectionObserver(observed => {
+    if (observed.some(entry => entry.isIntersecting) && nextKey) {
+      loadMore();
+    }
+  }).observe(document.getElementById('sentinel'));
+
+  search();
+});
@@ -1,42 +1,512 @@
-// Save options to browser.storage
-function saveOptions(e) {
+/**
+ * Checks whether a rule is a plain whitelist entry: keep tabs on a host
+ * @param {Object} rule - The rule to check
+ * @returns {boolean} Whether the rule is edited through the whitelist
+ */
+function isWhitelistRule(rule) {
+  const conditionKeys = Object.keys(rule.conditions || {});
+  return rule.action === 'keep' && !rule.isPreset &&
+    conditionKeys.length === 1 && conditionKeys[0] === 'host';
+}
+
+/**
+ * Parses the significant parameter lines, e.g. "tracker.example.com: id, page"
+ * @param {string} text - One domain per line
+ * @returns {Array<{domain: string, params: string[]}>} The parameters per domain
+ */
+function parseSignificantParams(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '')
+    .map(line => {
+      const [domain, params = ''] = line.split(':');
+      return {
+        domain: domain.trim().toLowerCase().replace(/^\*?\./, ''),
+        params: params.split(/[\s,]+/).filter(param => param !== '')
+      };
+    })
+    .filter(entry => entry.domain !== '');
+}
+
+/**
+ * Reads the URL normalization options from the form
+ * @returns {Object} The URL normalization setting
+ */
+function getUrlNormalization() {
+  const normalization = {};
+  document.querySelectorAll('[data-normalization]').forEach(checkbox => {
+    normalization[checkbox.dataset.normalization] = checkbox.checked;
+  });
+  normalization.significantParams = parseSignificantParams(document.getElementById('significantParams').value);
+  return normalization;
+}
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Default behaviors a schedule can switch to, keep in sync with popup.html
+const BEHAVIOR_OPTIONS = [
+  { value: '', text: 'No change' },
+  { value: 'duplicate-no-query', text: 'Close duplicates (ignore query)' },
+  { value: 'duplicate', text: 'Close exact duplicates' },
+  { value: 'duplicate-domain', text: 'Close same domain (keep newest)' },
+  { value: 'always', text: 'Always close after inactivity' },
+  { value: 'never', text: 'Never close automatically' }
+];
+
+/**
+ * Fills a container with one checkbox per day of the week
+ * @param {HTMLElement} container - The element to fill
+ * @param {number[]} days - The checked days, 0 is Sunday
+ */
+function renderDayCheckboxes(container, days) {
+  container.innerHTML = '';
+  DAY_LABELS.forEach((label, day) => {
+    const dayLabel = document.createElement('label');
+    dayLabel.className = 'day';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = day;
+    checkbox.checked = days.includes(day);
+    dayLabel.appendChild(checkbox);
+    dayLabel.appendChild(document.createTextNode(label));
+    container.appendChild(dayLabel);
+  });
+}
+
+/**
+ * Reads the checked days from a container of day checkboxes
+ * @param {HTMLElement} container - The container
+ * @returns {number[]} The checked days, 0 is Sunday
+ */
+function readDayCheckboxes(container) {
+  return Array.from(container.querySelectorAll('input:checked')).map(input => Number(input.value));
+}
+
+/**
+ * Creates a labelled input inside a schedule entry
+ * @param {HTMLElement} parent - The element to add the field to
+ * @param {string} labelText - The label of the field
+ * @param {HTMLElement} field - The input or select
+ */
+function addScheduleField(parent, labelText, field) {
+  const label = document.createElement('label');
+  label.className = 'inline';
+  label.textContent = labelText;
+  label.appendChild(field);
+  parent.appendChild(label);
+}
+
+/**
+ * Adds a schedule entry to the schedule editor
+ * @param {Object} schedule - The schedule to edit
+ */
+function addScheduleEntry(schedule = { name: '', days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00', overrides: {} }) {
+  const overrides = schedule.overrides || {};
+  const entry = document.createElement('div');
+  entry.className = 'schedule-entry';
+  entry.dataset.id = schedule.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'schedule-name';
+  name.placeholder = 'Name, e.g. Work hours';
+  name.value = schedule.name || '';
+  entry.appendChild(name);
+
+  const days = document.createElement('div');
+  days.className = 'schedule-days';
+  renderDayCheckboxes(days, schedule.days || []);
+  entry.appendChild(days);
+
+  const times = document.createElement('div');
+  const start = document.createElement('input');
+  start.type = 'time';
+  start.className = 'schedule-start';
+  start.value = schedule.start || '09:00';
+  const end = document.createElement('input');
+  end.type = 'time';
+  end.className = 'schedule-end';
+  end.value = schedule.end || '18:00';
+  addScheduleField(times, 'From', start);
+  addScheduleField(times, 'to', end);
+  entry.appendChild(times);
+
+  const overridesRow = document.createElement('div');
+  const enabled = document.createElement('select');
+  enabled.className = 'schedule-enabled';
+  [['', 'No change'], ['true', 'On'], ['false', 'Off']].forEach(([value, text]) => {
+    enabled.add(new Option(text, value));
+  });
+  enabled.value = overrides.enabled === undefined ? '' : String(overrides.enabled);
+  addScheduleField(overridesRow, 'Extension', enabled);
+
+  const behavior = document.createElement('select');
+  behavior.className = 'schedule-behavior';
+  BEHAVIOR_OPTIONS.forEach(({ value, text }) => behavior.add(new Option(text, value)));
+  behavior.value = overrides.defaultBehavior || '';
+  addScheduleField(overridesRow, 'Default behavior', behavior);
+
+  const timeLimit = document.createElement('input');
+  timeLimit.type = 'number';
+  timeLimit.min = '1';
+  timeLimit.className = 'schedule-time-limit';
+  timeLimit.placeholder = 'No change';
+  timeLimit.value = overrides.timeLimit || '';
+  addScheduleField(overridesRow, 'Close after (min)', timeLimit);
+
+  const unloadTimeout = document.createElement('input');
+  unloadTimeout.type = 'number';
+  unloadTimeout.min = '1';
+  unloadTimeout.className = 'schedule-unload-timeout';
+  unloadTimeout.placeholder = 'No change';
+  unloadTimeout.value = overrides.unloadTimeout || '';
+  addScheduleField(overridesRow, 'Unload every (min)', unloadTimeout);
+
+  const ruleSets = document.createElement('input');
+  ruleSets.type = 'text';
+  ruleSets.className = 'schedule-rule-sets';
+  ruleSets.placeholder = 'e.g. work, focus';
+  ruleSets.value = (overrides.ruleSets || []).join(', ');
+  addScheduleField(overridesRow, 'Rule sets', ruleSets);
+  entry.appendChild(overridesRow);
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => entry.remove());
+  entry.appendChild(removeButton);
+
+  document.getElementById('scheduleList').appendChild(entry);
+}
+
+/**
+ * Reads all schedules from the schedule editor
+ * @returns {Object[]} The schedules, in priority order
+ */
+function getSchedules() {
+  return Array.from(document.querySelectorAll('.schedule-entry')).map(entry => {
+    const overrides = {};
+    const enabled = entry.querySelector('.schedule-enabled').value;
+    if (enabled !== '') {
+      overrides.enabled = enabled === 'true';
+    }
+    const behavior = entry.querySelector('.schedule-behavior').value;
+    if (behavior) {
+      overrides.defaultBehavior = behavior;
+    }
+    const timeLimit = parseInt(entry.querySelector('.schedule-time-limit').value, 10);
+    if (timeLimit > 0) {
+      overrides.timeLimit = timeLimit;
+    }
+    const unloadTimeout = parseInt(entry.querySelector('.schedule-unload-timeout').value, 10);
+    if (unloadTimeout > 0) {
+      overrides.unloadTimeout = unloadTimeout;
+    }
+    const ruleSets = entry.querySelector('.schedule-rule-sets').value
+      .split(',')
+      .map(ruleSet => ruleSet.trim())
+      .filter(ruleSet => ruleSet !== '');
+    if (ruleSets.length > 0) {
+      overrides.ruleSets = ruleSets;
+    }
+
+    return {
+      id: entry.dataset.id,
+      name: entry.querySelector('.schedule-name').value.trim() || 'Schedule',
+      days: readDayCheckboxes(entry.querySelector('.schedule-days')),
+      start: entry.querySelector('.schedule-start').value || '00:00',
+      end: entry.querySelector('.schedule-end').value || '00:00',
+      overrides
+    };
+  });
+}
+
+/**
+ * Shows a message below the save button
+ * @param {string} message - The message to show
+ * @param {boolean} isError - Whether saving failed
+ */
+function showSaveStatus(message, isError) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = `status ${isError ? 'error' : 'success'}`;
+  status.style.display = 'block';
+  setTimeout(() => {
+    status.style.display = 'none';
+  }, isError ? 6000 : 3000);
+}
+
+// Save options through the background page
+async function saveOptions(e) {
   e.preventDefault();
   console.log('Saving options...');
-  const timeLimit = document.getElementById('timeLimit').value;
-  const unloadTimeout = document.getElementById('unloadTimeout').value;
-  const whitelist = document.getElementById('whitelist').value.split('\n').filter(pattern => pattern.trim() !== '');
+  const timeLimit = parseInt(document.getElementById('timeLimit').value, 10);
+  const unloadTimeout = parseInt(document.getElementById('unloadTimeout').value, 10);
+  const whitelist = document.getElementById('whitelist').value.split('\n')
+    .map(pattern => pattern.trim())
+    .filter(pattern => pattern !== '');
   console.log('New settings:', { timeLimit, unloadTimeout, whitelist });
-  browser.storage.sync.set({
-    timeLimit: timeLimit,
-    unloadTimeout: unloadTimeout,
-    whitelist: whitelist
-  }).then(() => {
-    const status = document.getElementById('status');
-    status.textContent = 'Settings saved successfully!';
-    status.className = 'status success';
-    status.style.display = 'block';
-    setTimeout(() => {
-      status.style.display = 'none';
-    }, 3000);
-  });
+
+  try {
+    // Replace the whitelist rules and keep every other rule in its order.
+    // Whitelisted sites go first, so broader rules can't close them.
+    const { rules } = await browser.runtime.sendMessage({ action: 'getSettings' });
+    const otherRules = rules.filter(rule => !isWhitelistRule(rule));
+    const existing = new Map(rules.filter(isWhitelistRule).map(rule => [rule.conditions.host, rule]));
+    const whitelistRules = whitelist.map((pattern, i) => existing.get(pattern) || {
+      id: `${Date.now().toString(36)}-${i}`,
+      conditions: { host: pattern },
+      action: 'keep'
+    });
+
+    const result = await browser.runtime.sendMessage({
+      action: 'updateSettings',
+      changes: {
+        timeLimit,
+        unloadTimeout,
+        rules: whitelistRules.concat(otherRules).map((rule, i) => ({ ...rule, priority: i * 10 })),
+        schedules: getSchedules(),
+        urlNormalization: getUrlNormalization(),
+        historyMaxEntries: parseInt(document.getElementById('historyMaxEntries').value, 10),
+        historyMaxAgeDays: parseInt(document.getElementById('historyMaxAgeDays').value, 10),
+        quietHours: {
+          enabled: document.getElementById('quietEnabled').checked,
+          days: readDayCheckboxes(document.getElementById('quietDays')),
+          start: document.getElementById('quietStart').value || '22:00',
+          end: document.getElementById('quietEnd').value || '07:00'
+        }
+      }
+    });
+
+    if (result.saved && result.warning) {
+      showSaveStatus(`Settings saved, but the rules are too large to sync and were saved on this device only: ${result.warning}`, true);
+    } else if (result.saved) {
+      showSaveStatus('Settings saved successfully!', false);
+    } else {
+      showSaveStatus(`Settings not saved: ${result.errors.join('; ')}`, true);
+    }
+  } catch (error) {
+    console.error('Error saving settings:', error);
+  }
+}
+
+// Option fields filled from each setting
+const OPTION_RENDERERS = {
+  timeLimit: settings => {
+    document.getElementById('timeLimit').value = settings.timeLimit;
+  },
+  unloadTimeout: settings => {
+    document.getElementById('unloadTimeout').value = settings.unloadTimeout;
+  },
+  rules: settings => {
+    document.getElementById('whitelist').value = settings.rules
+      .filter(isWhitelistRule)
+      .map(rule => rule.conditions.host)
+      .join('\n');
+  },
+  schedules: settings => {
+    document.getElementById('scheduleList').innerHTML = '';
+    settings.schedules.forEach(schedule => addScheduleEntry(schedule));
+  },
+  urlNormalization: settings => {
+    document.querySelectorAll('[data-normalization]').forEach(checkbox => {
+      checkbox.checked = settings.urlNormalization[checkbox.dataset.normalization];
+    });
+    document.getElementById('significantParams').value = settings.urlNormalization.significantParams
+      .map(({ domain, params }) => `${domain}: ${params.join(', ')}`)
+      .join('\n');
+  },
+  historyMaxEntries: settings => {
+    document.getElementById('historyMaxEntries').value = settings.historyMaxEntries;
+  },
+  historyMaxAgeDays: settings => {
+    document.getElementById('historyMaxAgeDays').value = settings.historyMaxAgeDays;
+  },
+  quietHours: settings => {
+    document.getElementById('quietEnabled').checked = settings.quietHours.enabled;
+    document.getElementById('quietStart').value = settings.quietHours.start;
+    document.getElementById('quietEnd').value = settings.quietHours.end;
+    renderDayCheckboxes(document.getElementById('quietDays'), settings.quietHours.days);
+  }
+};
+
+/**
+ * Fills the option fields for the given settings
+ * @param {Object} settings - All settings
+ * @param {string[]} [keys] - The settings to show, defaults to all of them
+ */
+function renderOptions(settings, keys = Object.keys(OPTION_RENDERERS)) {
+  keys.filter(key => OPTION_RENDERERS[key]).forEach(key => OPTION_RENDERERS[key](settings));
 }
 
 // Load saved options
 function restoreOptions() {
   console.log('Loading saved options...');
-  browser.storage.sync.get({
-    timeLimit: 2, // Default to 2 minutes, consistent with config.json and background.js
-    unloadTimeout: 30,
-    whitelist: []
-  }).then((result) => {
-    console.log('Loaded settings:', result);
-    document.getElementById('timeLimit').value = result.timeLimit;
-    document.getElementById('unloadTimeout').value = result.unloadTimeout;
-    document.getElementById('whitelist').value = result.whitelist.join('\n');
+  browser.runtime.sendMessage({ action: 'getSettings' }).then((settings) => {
+    console.log('Loaded settings:', settings);
+    renderOptions(settings);
   }).catch(error => {
     console.error('Error loading settings:', error);
   });
 }
 
+// Show settings changed from the popup or another device
+browser.runtime.onMessage.addListener((message) => {
+  if (message.action === 'settingsChanged') {
+    renderOptions(message.settings, message.changed);
+  }
+});
+
+/**
+ * Shows a message in a status box
+ * @param {HTMLElement} status - The status box
+ * @param {string} message - The message to show
+ * @param {boolean} isError - Whether something went wrong
+ * @param {string[]} [errors] - Details listed below the message
+ */
+function showStatusMessage(status, message, isError, errors = []) {
+  status.textContent = message;
+  status.className = `status ${isError ? 'error' : 'success'}`;
+  if (errors.length > 0) {
+    const list = document.createElement('ul');
+    errors.forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      list.appendChild(item);
+    });
+    status.appendChild(list);
+  }
+  status.style.display = 'block';
+}
+
+/**
+ * Shows the outcome of an import or export
+ * @param {string} message - The message to show
+ * @param {boolean} isError - Whether something went wrong
+ * @param {string[]} [errors] - Details listed below the message
+ */
+function showImportStatus(message, isError, errors = []) {
+  showStatusMessage(document.getElementById('importStatus'), message, isError, errors);
+}
+
+// Download the settings as a JSON file
+async function exportSettings() {
+  try {
+    const data = await browser.runtime.sendMessage({ action: 'exportSettings' });
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `auto-tab-kill-settings-${data.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  } catch (error) {
+    console.error('Error exporting settings:', error);
+    showImportStatus(`Export failed: ${error.message}`, true);
+  }
+}
+
+// Import the settings from the chosen JSON file
+async function importSettings() {
+  const input = document.getElementById('importFile');
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showImportStatus(`${file.name} is not valid JSON: ${error.message}`, true);
+    return;
+  }
+
+  try {
+    const result = await browser.runtime.sendMessage({ action: 'importSettings', data });
+    if (result.imported && result.warning) {
+      showImportStatus(`Imported settings from ${file.name}, but the rules are too large to sync and were saved on this device only: ${result.warning}`, true);
+    } else if (result.imported) {
+      showImportStatus(`Imported settings from ${file.name}`, false);
+      restoreOptions();
+    } else {
+      showImportStatus(`${file.name} was not imported:`, true, result.errors);
+    }
+  } catch (error) {
+    console.error('Error importing settings:', error);
+    showImportStatus(`Import failed: ${error.message}`, true);
+  }
+}
+
+/**
+ * Lists the keyboard commands with a field to change each shortcut
+ */
+async function loadShortcuts() {
+  const list = document.getElementById('shortcutList');
+  list.innerHTML = '';
+  const commands = await browser.commands.getAll();
+  commands.forEach(command => {
+    const row = document.createElement('div');
+    row.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.textContent = command.description;
+    label.htmlFor = `shortcut-${command.name}`;
+    row.appendChild(label);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `shortcut-${command.name}`;
+    input.className = 'shortcut';
+    input.dataset.command = command.name;
+    input.value = command.shortcut || '';
+    input.placeholder = 'No shortcut';
+    row.appendChild(input);
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'secondary';
+    reset.textContent = 'Reset';
+    reset.addEventListener('click', async () => {
+      await browser.commands.reset(command.name);
+      loadShortcuts();
+    });
+    row.appendChild(reset);
+
+    list.appendChild(row);
+  });
+}
+
+// Save the shortcuts that were changed
+async function saveShortcuts() {
+  const commands = await browser.commands.getAll();
+  const errors = [];
+  for (const input of document.querySelectorAll('.shortcut')) {
+    const command = commands.find(c => c.name === input.dataset.command);
+    const shortcut = input.value.trim();
+    if (!command || shortcut === (command.shortcut || '')) continue;
+    try {
+      await browser.commands.update({ name: command.name, shortcut });
+    } catch (error) {
+      errors.push(`${command.description}: ${error.message}`);
+    }
+  }
+
+  const failed = errors.length > 0;
+  showStatusMessage(document.getElementById('shortcutStatus'),
+    failed ? 'Some shortcuts were not saved:' : 'Shortcuts saved!', failed, errors);
+  loadShortcuts();
+}
+
 document.addEventListener('DOMContentLoaded', restoreOptions);
+document.addEventListener('DOMContentLoaded', () => {
+  loadShortcuts().catch(error => {
+    console.error('Error loading shortcuts:', error);
+  });
+});
+document.getElementById('saveShortcuts').addEventListener('click', saveShortcuts);
 document.getElementById('save').addEventListener('click', saveOptions);
+document.getElementById('addSchedule').addEventListener('click', () => addScheduleEntry());
+document.getElementById('exportSettings').addEventListener('click', exportSettings);
+document.getElementById('importSettings').addEventListener('click', () => document.getElementById('importFile').click());
+document.getElementById('importFile').addEventListener('change', importSettings);
@@ -5,251 +5,666 @@
  * @property {number} unloadTimeout - Inactivity time limit in minutes
  * @property {string} defaultBehavior - Default behavior for inactive tabs
  * @property {boolean} showNotifications - Whether to show notifications
- * @property {Pattern[]} patterns - URL patterns and their actions
+ * @property {Rule[]} rules - Rules deciding what happens to matching tabs
  */
 
+// Actions a rule can take, keep in sync with RuleAction in background.js
+const RULE_ACTIONS = [
+  { value: 'keep', text: 'Don\'t close tab' },
+  { value: 'close', text: 'Close when inactive' },
+  { value: 'unload', text: 'Unload when inactive' },
+  { value: 'duplicate', text: 'Close if duplicate' },
+  { value: 'duplicate-no-query', text: 'Close if duplicate (ignore query)' },
+  { value: 'duplicate-domain', text: 'Close if duplicate domain' },
+  { value: 'quota-close', text: 'Keep at most N per site, close the rest' },
+  { value: 'quota-unload', text: 'Keep at most N per site, unload the rest' }
+];
+
+// Actions that keep a number of tabs per domain
+const QUOTA_ACTIONS = ['quota-close', 'quota-unload'];
+
+// Extra rule conditions edited under "More conditions"
+const CONDITION_FIELDS = [
+  { key: 'host', label: 'Host', type: 'text', placeholder: '*.example.com' },
+  { key: 'path', label: 'Path', type: 'text', placeholder: '/docs/*' },
+  { key: 'title', label: 'Title', type: 'text', placeholder: '*Inbox*' },
+  { key: 'audible', label: 'Playing sound', type: 'boolean' },
+  { key: 'pinned', label: 'Pinned', type: 'boolean' },
+  { key: 'windowId', label: 'Window ID', type: 'number' },
+  { key: 'container', label: 'Container', type: 'container' },
+  { key: 'minTabAge', label: 'Open for (min)', type: 'number' },
+  { key: 'minInactive', label: 'Inactive for (min)', type: 'number' }
+];
+
+// Name of the container condition for tabs outside containers, keep in sync with background.js
+const NO_CONTAINER_NAME = 'No Container';
+
+// Containers offered by the container condition, loaded from the background page
+let containers = [{ cookieStoreId: 'firefox-default', name: NO_CONTAINER_NAME }];
+
+// Per-rule timeouts, overriding the global inactivity, unload and auto-kill
+// settings. The global value is shown in minutes, scaled from its own unit.
+const TIMEOUT_FIELDS = [
+  { key: 'closeAfter', label: 'Close after (min)', globalId: 'timeLimit', globalScale: 1 },
+  { key: 'unloadAfter', label: 'Unload after (min)', globalId: 'unloadTimeout', globalScale: 1 },
+  { key: 'killAfter', label: 'Kill when unloaded for (min)', globalId: 'killUnloadedAfterHours', globalScale: 60 }
+];
+
+// The rule each entry was created from, so fields edited elsewhere survive a save
+const ruleEntries = new WeakMap();
+
 /**
- * Get all patterns from the UI
- * @returns {Array} Array of pattern objects
+ * Reads the value of a condition field, or undefined when it is not set
+ * @param {HTMLInputElement|HTMLSelectElement} field - The condition field
+ * @returns {(string|number|boolean|undefined)} The condition value
  */
-function getPatterns() {
-  const patterns = [];
-  document.querySelectorAll('.pattern-entry').forEach(entry => {
-    patterns.push({
-      pattern: entry.querySelector('.pattern-input').value,
+function readConditionField(field) {
+  const value = field.value.trim();
+  if (value === '') return undefined;
+  switch (field.dataset.type) {
+    case 'boolean':
+      return value === 'true';
+    case 'number': {
+      const number = parseInt(value, 10);
+      return isNaN(number) ? undefined : number;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Get all rules from the UI, in priority order
+ * @returns {Rule[]} Array of rules
+ */
+function getRules() {
+  return Array.from(document.querySelectorAll('.pattern-entry')).map((entry, index) => {
+    const original = ruleEntries.get(entry) || {};
+    const conditions = {};
+    const url = entry.querySelector('.pattern-input').value.trim();
+    if (url) {
+      conditions.url = url;
+    }
+    entry.querySelectorAll('[data-condition]').forEach(field => {
+      const value = readConditionField(field);
+      if (value !== undefined) {
+        conditions[field.dataset.condition] = value;
+      }
+    });
+
+    const rule = {
+      ...original,
+      id: original.id || `${Date.now().toString(36)}-${index}`,
+      priority: index * 10,
+      conditions,
       action: entry.querySelector('.pattern-action').value,
-      isPreset: entry.dataset.preset === 'true'
+      isPreset: Boolean(original.isPreset)
+    };
+    entry.querySelectorAll('[data-timeout]').forEach(field => {
+      const value = readConditionField(field);
+      if (value) {
+        rule[field.dataset.timeout] = value;
+      } else {
+        delete rule[field.dataset.timeout];
+      }
+    });
+    entry.querySelectorAll('[data-rule-field]').forEach(field => {
+      const value = readConditionField(field);
+      if (value !== undefined) {
+        rule[field.dataset.ruleField] = value;
+      } else {
+        delete rule[field.dataset.ruleField];
+      }
+    });
+    return rule;
+  });
+}
+
+/**
+ * Describes which timeouts apply to tabs matching a rule entry
+ * @param {HTMLElement} entry - The rule entry
+ * @returns {string} A short description of the effective timeouts
+ */
+function describeRuleTimeouts(entry) {
+  // Rules without conditions are skipped, keep in sync with hasConditions in background.js
+  const hasConditions = entry.querySelector('.pattern-input').value.trim() !== '' ||
+    Array.from(entry.querySelectorAll('[data-condition]')).some(field => {
+      const value = readConditionField(field);
+      return value !== undefined && (value !== 0 || field.dataset.condition === 'windowId');
+    });
+  if (!hasConditions) {
+    return 'Not applied until a URL pattern or condition is set';
+  }
+  const action = entry.querySelector('.pattern-action').value;
+  if (action === 'keep') {
+    return 'Kept open and loaded';
+  }
+  return describeRuleActionTimeouts(entry, action) + describeRuleKillAge(entry);
+}
+
+/**
+ * Describes how long tabs matching a rule entry stay unloaded before auto-kill closes them
+ * @param {HTMLElement} entry - The rule entry
+ * @returns {string} The kill age as a sentence suffix, empty while auto-kill is off
+ */
+function describeRuleKillAge(entry) {
+  if (!document.getElementById('autoKillUnloaded').checked) {
+    return '';
+  }
+  const killAfter = readConditionField(entry.querySelector('[data-timeout="killAfter"]'));
+  if (killAfter) {
+    return `, killed after ${killAfter} min unloaded (rule)`;
+  }
+  const hours = parseInt(document.getElementById('killUnloadedAfterHours').value, 10) || 24;
+  return `, killed after ${hours} h unloaded (global)`;
+}
+
+/**
+ * Describes the inactivity and quota timeouts of a rule entry that doesn't keep its tabs
+ * @param {HTMLElement} entry - The rule entry
+ * @param {RuleAction} action - The action of the rule
+ * @returns {string} A short description of the timeouts
+ */
+function describeRuleActionTimeouts(entry, action) {
+  if (QUOTA_ACTIONS.includes(action)) {
+    const quota = readConditionField(entry.querySelector('[data-rule-field="quota"]')) || 1;
+    const scope = entry.querySelector('[data-rule-field="quotaScope"]').value === 'host' ? 'host' : 'site';
+    return `Keeps the ${quota} most recently used ${quota === 1 ? 'tab' : 'tabs'} per ${scope}, ` +
+      `${action === 'quota-close' ? 'closes' : 'unloads'} older ones right away`;
+  }
+
+  const timeLimit = parseInt(document.getElementById('timeLimit').value, 10) || 2;
+  const unloadTimeout = parseInt(document.getElementById('unloadTimeout').value, 10) || 30;
+  const closeAfter = readConditionField(entry.querySelector('[data-timeout="closeAfter"]'));
+  const unloadAfter = readConditionField(entry.querySelector('[data-timeout="unloadAfter"]'));
+
+  const budgetMode = document.getElementById('unloadMode').value === 'budget';
+  const unloadText = unloadAfter
+    ? `unloads after ${unloadAfter} min (rule)`
+    : budgetMode
+      ? 'unloaded when outside the loaded tab budget'
+      : `unloaded every ${unloadTimeout} min (global)`;
+  if (action === 'unload') {
+    return unloadAfter
+      ? `Unloads after ${unloadAfter} min inactive (rule)`
+      : `Unloads after ${closeAfter || timeLimit} min inactive (${closeAfter ? 'rule' : 'global'})`;
+  }
+  return `Closes after ${closeAfter || timeLimit} min (${closeAfter ? 'rule' : 'global'}), ${unloadText}`;
+}
+
+/**
+ * Refreshes the timeout summary of every rule entry
+ */
+function updateRuleTimeoutSummaries() {
+  document.querySelectorAll('.pattern-entry').forEach(entry => {
+    entry.querySelector('.rule-timeout-summary').textContent = describeRuleTimeouts(entry);
+  });
+}
+
+/**
+ * Shows the quota fields of a rule entry only when its action keeps a number of tabs
+ * @param {HTMLElement} entry - The rule entry
+ */
+function updateQuotaFields(entry) {
+  const isQuota = QUOTA_ACTIONS.includes(entry.querySelector('.pattern-action').value);
+  entry.querySelectorAll('.rule-quota-field').forEach(field => {
+    field.hidden = !isQuota;
+  });
+}
+
+/**
+ * Builds the fields of a quota rule: how many tabs to keep and how to group them
+ * @param {Rule} rule - The rule being edited
+ * @returns {HTMLLabelElement[]} The quota fields
+ */
+function createQuotaFields(rule) {
+  const onChange = () => {
+    updateRuleTimeoutSummaries();
+    saveSettings();
+  };
+
+  const quotaLabel = document.createElement('label');
+  quotaLabel.className = 'condition-label rule-quota-field';
+  quotaLabel.textContent = 'Tabs to keep (N)';
+  const quota = document.createElement('input');
+  quota.type = 'number';
+  quota.min = '1';
+  quota.className = 'condition-input';
+  quota.placeholder = '1';
+  quota.dataset.ruleField = 'quota';
+  quota.dataset.type = 'number';
+  quota.value = rule.quota || '';
+  quota.addEventListener('change', onChange);
+  quotaLabel.appendChild(quota);
+
+  const scopeLabel = document.createElement('label');
+  scopeLabel.className = 'condition-label rule-quota-field';
+  scopeLabel.textContent = 'Count tabs per';
+  const scope = document.createElement('select');
+  scope.className = 'condition-input';
+  [['', 'Site, with subdomains'], ['host', 'Host name']].forEach(([value, text]) => {
+    scope.add(new Option(text, value));
+  });
+  scope.dataset.ruleField = 'quotaScope';
+  scope.dataset.type = 'text';
+  scope.value = rule.quotaScope === 'host' ? 'host' : '';
+  scope.addEventListener('change', onChange);
+  scopeLabel.appendChild(scope);
+
+  return [quotaLabel, scopeLabel];
+}
+
+/**
+ * Builds the per-rule timeout fields and their summary
+ * @param {Rule} rule - The rule being edited
+ * @returns {HTMLDivElement} The timeouts section
+ */
+function createTimeoutsSection(rule) {
+  const section = document.createElement('div');
+  section.className = 'rule-timeouts';
+
+  createQuotaFields(rule).forEach(field => section.appendChild(field));
+
+  TIMEOUT_FIELDS.forEach(({ key, label, globalId, globalScale }) => {
+    const fieldLabel = document.createElement('label');
+    fieldLabel.className = 'condition-label';
+    fieldLabel.textContent = label;
+
+    const field = document.createElement('input');
+    field.type = 'number';
+    field.min = '1';
+    field.className = 'condition-input';
+    field.dataset.timeout = key;
+    field.dataset.type = 'number';
+    field.placeholder = `Global: ${(parseInt(document.getElementById(globalId).value, 10) || 0) * globalScale}`;
+    field.value = rule[key] || '';
+    field.addEventListener('change', () => {
+      updateRuleTimeoutSummaries();
+      saveSettings();
     });
+
+    fieldLabel.appendChild(field);
+    section.appendChild(fieldLabel);
   });
-  return patterns;
+
+  const summary = document.createElement('div');
+  summary.className = 'rule-timeout-summary help-text';
+  section.appendChild(summary);
+  return section;
 }
 
 /**
- * Add a new pattern entry to the UI
- * @param {Object} pattern - Pattern object with pattern and action
+ * Builds the "More conditions" section of a rule entry
+ * @param {RuleConditions} conditions - The current conditions of the rule
+ * @param {string} [ruleSetName] - The rule set the rule belongs to
+ * @param {boolean} [archiveSetting] - Whether the rule archives tabs before closing them
+ * @returns {HTMLDetailsElement} The conditions section
  */
-function addPatternEntry(pattern) {
+function createConditionsSection(conditions, ruleSetName, archiveSetting) {
+  const details = document.createElement('details');
+  details.className = 'rule-conditions';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'More conditions';
+  details.appendChild(summary);
+
+  const grid = document.createElement('div');
+  grid.className = 'condition-grid';
+
+  CONDITION_FIELDS.forEach(({ key, label, type, placeholder }) => {
+    const fieldLabel = document.createElement('label');
+    fieldLabel.className = 'condition-label';
+    fieldLabel.textContent = label;
+
+    let field;
+    if (type === 'boolean') {
+      field = document.createElement('select');
+      [['', 'Any'], ['true', 'Yes'], ['false', 'No']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        field.appendChild(option);
+      });
+    } else if (type === 'container') {
+      // Rules store the container name, so they work on devices where its ID differs
+      field = document.createElement('select');
+      const names = [''].concat(containers.map(container => container.name));
+      if (conditions[key] && !names.includes(conditions[key])) {
+        names.push(conditions[key]);
+      }
+      names.forEach(name => field.add(new Option(name || 'Any', name)));
+    } else {
+      field = document.createElement('input');
+      field.type = type;
+      if (type === 'number') {
+        field.min = '0';
+      }
+      if (placeholder) {
+        field.placeholder = placeholder;
+      }
+    }
+    field.className = 'condition-input';
+    field.dataset.condition = key;
+    field.dataset.type = type;
+    field.value = conditions[key] === undefined ? '' : String(conditions[key]);
+    field.addEventListener('change', () => {
+      updateRuleTimeoutSummaries();
+      saveSettings();
+    });
+
+    fieldLabel.appendChild(field);
+    grid.appendChild(fieldLabel);
+  });
+
+  const ruleSetLabel = document.createElement('label');
+  ruleSetLabel.className = 'condition-label';
+  ruleSetLabel.textContent = 'Rule set (schedules)';
+  const ruleSet = document.createElement('input');
+  ruleSet.type = 'text';
+  ruleSet.className = 'condition-input';
+  ruleSet.placeholder = 'Always active';
+  ruleSet.dataset.ruleField = 'ruleSet';
+  ruleSet.dataset.type = 'text';
+  ruleSet.value = ruleSetName || '';
+  ruleSet.addEventListener('change', saveSettings);
+  ruleSetLabel.appendChild(ruleSet);
+  grid.appendChild(ruleSetLabel);
+
+  const archiveLabel = document.createElement('label');
+  archiveLabel.className = 'condition-label';
+  archiveLabel.textContent = 'Bookmark before closing';
+  const archive = document.createElement('select');
+  archive.className = 'condition-input';
+  [['', 'Use archive settings'], ['true', 'Yes'], ['false', 'No']].forEach(([value, text]) => {
+    archive.add(new Option(text, value));
+  });
+  archive.dataset.ruleField = 'archive';
+  archive.dataset.type = 'boolean';
+  archive.value = archiveSetting === undefined ? '' : String(archiveSetting);
+  archive.addEventListener('change', saveSettings);
+  archiveLabel.appendChild(archive);
+  grid.appendChild(archiveLabel);
+
+  details.appendChild(grid);
+  // Keep the section open when a rule already uses extra conditions
+  details.open = Boolean(ruleSetName) || archiveSetting !== undefined ||
+    Object.keys(conditions).some(key => key !== 'url');
+  return details;
+}
+
+/**
+ * Adds a rule entry to the UI
+ * @param {Rule} rule - The rule to add, defaults to an empty 'keep' rule
+ */
+function addRuleEntry(rule = { conditions: {}, action: 'keep', isPreset: false }) {
+  const patternList = document.getElementById('patternList');
+  const conditions = rule.conditions || {};
+
   const entry = document.createElement('div');
   entry.className = 'pattern-entry';
-  if (pattern.isPreset) {
-    entry.dataset.preset = 'true';
+  ruleEntries.set(entry, rule);
+  if (rule.isPreset) {
+    entry.classList.add('preset-pattern');
   }
 
-  const patternInput = document.createElement('input');
-  patternInput.type = 'text';
-  patternInput.className = 'pattern-input';
-  patternInput.value = pattern.pattern;
-  patternInput.placeholder = 'Enter URL pattern (e.g., *.example.com/*)';
-  patternInput.addEventListener('input', saveSettings);
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'pattern-input';
+  input.placeholder = 'URL pattern, e.g. *.example.com/*';
+  input.value = conditions.url || '';
+  input.addEventListener('input', () => {
+    updateRuleTimeoutSummaries();
+    saveSettings();
+  });
 
-  const actionSelect = document.createElement('select');
-  actionSelect.className = 'pattern-action';
-  ['keep', 'close'].forEach(action => {
+  const select = document.createElement('select');
+  select.className = 'pattern-action';
+  RULE_ACTIONS.forEach(action => {
     const option = document.createElement('option');
-    option.value = action;
-    option.textContent = action.charAt(0).toUpperCase() + action.slice(1);
-    actionSelect.appendChild(option);
+    option.value = action.value;
+    option.textContent = action.text;
+    select.appendChild(option);
+  });
+  select.value = rule.action;
+  select.addEventListener('change', () => {
+    updateQuotaFields(entry);
+    updateRuleTimeoutSummaries();
+    saveSettings();
   });
-  actionSelect.value = pattern.action;
-  actionSelect.addEventListener('change', saveSettings);
 
   const removeButton = document.createElement('button');
   removeButton.className = 'remove-pattern';
   removeButton.textContent = '×';
-  if (!pattern.isPreset) {
+  removeButton.setAttribute('aria-label', 'Remove rule');
+
+  if (rule.isPreset) {
+    removeButton.classList.add('preset');
+    removeButton.disabled = true;
+    removeButton.title = 'Cannot remove preset rules';
+  } else {
     removeButton.addEventListener('click', () => {
-      entry.remove();
-      saveSettings();
+      entry.classList.add('fade-out');
+      setTimeout(() => {
+        entry.remove();
+        saveSettings();
+      }, 300);
     });
-  } else {
-    removeButton.disabled = true;
-    removeButton.title = 'Cannot remove preset patterns';
   }
 
-  entry.appendChild(patternInput);
-  entry.appendChild(actionSelect);
+  entry.appendChild(input);
+  entry.appendChild(select);
   entry.appendChild(removeButton);
+  entry.appendChild(createTimeoutsSection(rule));
+  entry.appendChild(createConditionsSection(conditions, rule.ruleSet, rule.archive));
 
-  const patternList = document.getElementById('patternList');
   patternList.appendChild(entry);
+  updateQuotaFields(entry);
+  entry.querySelector('.rule-timeout-summary').textContent = describeRuleTimeouts(entry);
+
+  // Add animation
+  entry.style.opacity = '0';
+  entry.style.transform = 'translateY(10px)';
+  setTimeout(() => {
+    entry.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+    entry.style.opacity = '1';
+    entry.style.transform = 'translateY(0)';
+  }, 10);
 }
 
+// The settings last received from the background page
+let currentSettings = null;
+
+// Settings edited with a number input
+const NUMBER_SETTINGS = ['timeLimit', 'unloadTimeout', 'killUnloadedAfterHours', 'maxTabs', 'maxTabsPerWindow', 'loadedTabBudget'];
+
+// Settings edited with a select
+const SELECT_SETTINGS = ['defaultBehavior', 'instantDuplicates', 'tabCapAction', 'unloadMode', 'loadedTabBudgetScope', 'inactivityClock'];
+
+// Settings edited with a checkbox
+const CHECKBOX_SETTINGS = ['enabled', 'showNotifications', 'autoKillUnloaded', 'duplicatesAcrossContainers', 'archiveInactive', 'archiveDuplicates', 'archiveKilled', 'archiveEvicted'];
+
 /**
- * Loads and displays recently closed tabs
+ * Shows the disabled message and greys out the form while the extension is off
  */
-async function loadHistory() {
-  const { closedTabs = [] } = await browser.storage.local.get({ closedTabs: [] });
-  const historyContainer = document.getElementById('history');
-  historyContainer.innerHTML = '';
-  
-  const recentTabs = closedTabs.slice(-10).reverse();
-  
-  if (recentTabs.length === 0) {
-    const emptyState = document.createElement('div');
-    emptyState.className = 'empty-state';
-    emptyState.textContent = 'No tabs have been closed yet.';
-    historyContainer.appendChild(emptyState);
-    return;
-  }
-  
-  recentTabs.forEach((tab, index) => {
-    const item = document.createElement('div');
-    item.className = 'history-item';
-    
-    const url = document.createElement('div');
-    url.className = 'history-url';
-    url.textContent = tab.url;
-    url.title = tab.url; // Add tooltip for long URLs
-    
-    const time = document.createElement('div');
-    time.className = 'history-time';
-    time.textContent = new Date(tab.timestamp).toLocaleString();
-    
-    const type = document.createElement('div');
-    type.className = 'history-type';
-    type.textContent = tab.type === 'unloaded' ? 'Unloaded' : 'Closed';
-    
-    item.appendChild(url);
-    item.appendChild(time);
-    item.appendChild(type);
-    historyContainer.appendChild(item);
-    
-    // Add staggered animation
-    item.style.opacity = '0';
-    item.style.transform = 'translateY(10px)';
-    setTimeout(() => {
-      item.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-      item.style.opacity = '1';
-      item.style.transform = 'translateY(0)';
-    }, 50 * index);
+function updateEnabledState() {
+  const enabled = document.getElementById('enabled').checked;
+  const disabledMessage = document.getElementById('disabled-message');
+  disabledMessage.style.display = enabled ? 'none' : 'block';
+
+  const formControls = document.querySelectorAll('input:not(#enabled), select');
+  formControls.forEach(control => {
+    control.classList.toggle('disabled', !enabled);
+    control.disabled = false;
   });
 }
 
 /**
- * Save current settings to storage
+ * Shows the settings of the selected unload mode
+ */
+function updateUnloadModeState() {
+  const budget = document.getElementById('unloadMode').value === 'budget';
+  document.getElementById('unloadSweepSettings').style.display = budget ? 'none' : 'block';
+  document.getElementById('unloadBudgetSettings').style.display = budget ? 'block' : 'none';
+}
+
+/**
+ * Fills the form with settings from the background page. Fields that
+ * already show the right value are left alone, so a change saved from this
+ * popup doesn't disturb what the user is typing.
+ * @param {ExtensionSettings} settings - The settings to show
+ */
+function renderSettings(settings) {
+  currentSettings = settings;
+
+  CHECKBOX_SETTINGS.forEach(key => {
+    const element = document.getElementById(key);
+    if (element.checked !== settings[key]) {
+      element.checked = settings[key];
+    }
+  });
+  NUMBER_SETTINGS.concat(SELECT_SETTINGS).forEach(key => {
+    const element = document.getElementById(key);
+    if (element.value !== String(settings[key])) {
+      element.value = settings[key];
+    }
+  });
+
+  const rules = settings.rules
+    .slice()
+    .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+  if (JSON.stringify(getRules()) !== JSON.stringify(rules)) {
+    document.getElementById('patternList').innerHTML = '';
+    rules.forEach(rule => addRuleEntry(rule));
+  }
+
+  updateEnabledState();
+  updateUnloadModeState();
+  updateRuleTimeoutSummaries();
+}
+
+/**
+ * Save current settings through the background page
  */
 async function saveSettings() {
-  try {
-    const settings = {
-      enabled: document.getElementById('enabled').checked,
-      timeLimit: parseInt(document.getElementById('timeLimit').value, 10) || 2,
-      unloadTimeout: parseInt(document.getElementById('unloadTimeout').value, 10) || 30,
-      defaultBehavior: document.getElementById('defaultBehavior').value,
-      showNotifications: document.getElementById('showNotifications').checked,
-      autoKillUnloaded: document.getElementById('autoKillUnloaded').checked,
-      patterns: getPatterns()
-    };
+  const changes = { rules: getRules() };
+  CHECKBOX_SETTINGS.forEach(key => {
+    changes[key] = document.getElementById(key).checked;
+  });
+  SELECT_SETTINGS.forEach(key => {
+    changes[key] = document.getElementById(key).value;
+  });
+  // Skip numbers that are being typed and can't be read yet
+  NUMBER_SETTINGS.forEach(key => {
+    const value = parseInt(document.getElementById(key).value, 10);
+    if (!isNaN(value)) {
+      changes[key] = value;
+    }
+  });
 
-    await browser.storage.sync.set(settings);
-    
-    const status = document.getElementById('status');
-    status.textContent = 'Saved';
+  const status = document.getElementById('status');
+  try {
+    const result = await browser.runtime.sendMessage({ action: 'updateSettings', changes });
+    if (!result.saved) {
+      status.textContent = `Not saved: ${result.errors[0]}`;
+    } else {
+      status.textContent = result.warning ? 'Saved on this device only' : 'Saved';
+      loadStorageWarning();
+    }
     status.style.display = 'block';
     status.style.opacity = '1';
-    
+
     setTimeout(() => {
       status.style.opacity = '0';
       setTimeout(() => {
         status.style.display = 'none';
       }, 300);
-    }, 1000);
+    }, result.saved ? 1000 : 3000);
   } catch (error) {
     console.error('Error saving settings:', error);
   }
 }
 
+/**
+ * Warns when the rules are too large to sync and only live on this device
+ */
+async function loadStorageWarning() {
+  const warning = document.getElementById('storageWarning');
+  try {
+    const status = await browser.runtime.sendMessage({ action: 'getStorageStatus' });
+    warning.textContent = status.rulesStoredLocally
+      ? `Your rules are too large to sync (${status.reason}). They are saved on this device only, other devices keep the rules they last synced. Remove some rules to sync again.`
+      : '';
+    warning.style.display = status.rulesStoredLocally ? 'block' : 'none';
+  } catch (error) {
+    console.error('Error loading storage status:', error);
+  }
+}
+
+// Keep the form up to date when settings change elsewhere
+browser.runtime.onMessage.addListener((message) => {
+  if (message.action === 'settingsChanged' && currentSettings) {
+    renderSettings(message.settings);
+    if (message.changed.includes('rules')) {
+      loadStorageWarning();
+    }
+  }
+});
+
 // Initialize UI when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
   try {
-    const settings = await browser.storage.local.get(['enabled', 'timeLimit', 'unloadTimeout', 'defaultBehavior', 'autoKillUnloaded']);
-    document.getElementById('enabled').checked = settings.enabled ?? true;
-    document.getElementById('timeLimit').value = settings.timeLimit ?? 2;
-    document.getElementById('unloadTimeout').value = settings.unloadTimeout ?? 30;
-    document.getElementById('defaultBehavior').value = settings.defaultBehavior ?? 'duplicate-no-query';
-    document.getElementById('autoKillUnloaded').checked = settings.autoKillUnloaded ?? true;
-    document.getElementById('showNotifications').checked = settings.showNotifications ?? true;
-
-    // Add input validation for timeLimit and unloadTimeout
-    document.getElementById('timeLimit').addEventListener('change', (e) => {
-      const value = parseInt(e.target.value, 10);
-      if (isNaN(value) || value < 1) {
-        e.target.value = 2;
-      }
-    });
-    document.getElementById('unloadTimeout').addEventListener('change', (e) => {
-      const value = parseInt(e.target.value, 10);
-      if (isNaN(value) || value < 1) {
-        e.target.value = 30;
-      }
-    });
-
-    // Update UI state based on enabled status
-    const updateEnabledState = () => {
-      const enabled = document.getElementById('enabled').checked;
-      const disabledMessage = document.getElementById('disabled-message');
-      disabledMessage.style.display = enabled ? 'none' : 'block';
+    containers = await browser.runtime.sendMessage({ action: 'getContainers' });
+    renderSettings(await browser.runtime.sendMessage({ action: 'getSettings' }));
+    loadStorageWarning();
 
-      const formControls = document.querySelectorAll('input:not(#enabled), select');
-      formControls.forEach(control => {
-        control.classList.toggle('disabled', !enabled);
-        control.disabled = false;
+    // Put back the saved value when a number is cleared or out of range
+    NUMBER_SETTINGS.forEach(key => {
+      const element = document.getElementById(key);
+      element.addEventListener('change', () => {
+        const value = parseInt(element.value, 10);
+        if (isNaN(value) || value < Number(element.min || 0)) {
+          element.value = currentSettings[key];
+        }
       });
-    };
+    });
 
-    // Setup pattern list
-    const patternList = document.getElementById('patternList');
-    patternList.innerHTML = '';
-    settings.patterns.forEach(pattern => addPatternEntry(pattern));
+    document.getElementById('enabled').addEventListener('change', updateEnabledState);
+    document.getElementById('inactivityClock').addEventListener('change', () => {
+      // Give the background page a moment to pick up the new clock
+      setTimeout(loadPreview, 500);
+    });
+    document.getElementById('unloadMode').addEventListener('change', () => {
+      updateUnloadModeState();
+      updateRuleTimeoutSummaries();
+    });
 
-    // Add event listeners
-    document.getElementById('enabled').addEventListener('change', () => {
-      updateEnabledState();
-      saveSettings();
+    // Rules without their own timeouts follow the global values
+    ['timeLimit', 'unloadTimeout', 'killUnloadedAfterHours'].forEach(id => {
+      document.getElementById(id).addEventListener('input', updateRuleTimeoutSummaries);
     });
+    document.getElementById('autoKillUnloaded').addEventListener('change', updateRuleTimeoutSummaries);
 
-    ['timeLimit', 'unloadTimeout', 'defaultBehavior', 'showNotifications', 'autoKillUnloaded'].forEach(id => {
-      const element = document.getElementById(id);
-      element.addEventListener('change', saveSettings);
-      if (id === 'timeLimit') {
-        element.addEventListener('input', saveSettings);
-      }
+    CHECKBOX_SETTINGS.concat(SELECT_SETTINGS, NUMBER_SETTINGS).forEach(id => {
+      document.getElementById(id).addEventListener('change', saveSettings);
+    });
+    ['timeLimit', 'unloadTimeout'].forEach(id => {
+      document.getElementById(id).addEventListener('input', saveSettings);
     });
 
-    // Add new pattern button handler
+    // Add new rule button handler
     document.getElementById('addPattern').addEventListener('click', () => {
-      addPatternEntry({
-        pattern: '',
-        action: 'keep',
-        isPreset: false
-      });
+      addRuleEntry();
+      saveSettings();
     });
 
-    // Add unloadTimeout listeners
-    const unloadTimeoutElement = document.getElementById('unloadTimeout');
-    unloadTimeoutElement.addEventListener('change', saveSettings);
-    unloadTimeoutElement.addEventListener('input', saveSettings);
-
-    // Initial UI update
-    updateEnabledState();
     loadHistory();
+    loadArchive();
 
-    // Load settings
-    const localSettings = await browser.storage.local.get(['enabled', 'timeLimit', 'unloadTimeout', 'defaultBehavior', 'autoKillUnloaded']);
-    document.getElementById('enabled').checked = localSettings.enabled ?? true;
-    document.getElementById('timeLimit').value = localSettings.timeLimit ?? 2;
-    document.getElementById('unloadTimeout').value = localSettings.unloadTimeout ?? 30;
-    document.getElementById('defaultBehavior').value = localSettings.defaultBehavior ?? 'duplicate-no-query';
-    document.getElementById('autoKillUnloaded').checked = localSettings.autoKillUnloaded ?? true;
-
-    // Load history
-    loadHistory();
+    document.getElementById('showHistory').addEventListener('click', async () => {
+      await browser.tabs.create({ url: browser.runtime.getURL('history.html') });
+      window.close();
+    });
 
-    // Add event listeners
-    document.getElementById('enabled').addEventListener('change', saveSettings);
-    document.getElementById('timeLimit').addEventListener('change', saveSettings);
-    document.getElementById('unloadTimeout').addEventListener('change', saveSettings);
-    document.getElementById('defaultBehavior').addEventListener('change', saveSettings);
-    document.getElementById('autoKillUnloaded').addEventListener('change', saveSettings);
     document.getElementById('saveSettings').addEventListener('click', saveSettings);
     document.getElementById('unloadInactive').addEventListener('click', unloadInactiveTabs);
   } catch (error) {
@@ -258,91 +673,72 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 /**
- * Get all patterns from the UI
- * @returns {Array} Array of pattern objects
- */
-function getPatterns() {
-  const patterns = [];
-  document.querySelectorAll('.pattern-entry').forEach(entry => {
-    patterns.push({
-      pattern: entry.querySelector('.pattern-input').value,
-      action: entry.querySelector('.pattern-action').value,
-      isPreset: entry.dataset.preset === 'true'
-    });
-  });
-  return patterns;
-}
-
-/**
- * Add a new pattern entry to the UI
- * @param {Object} pattern - Pattern object with pattern and action
+ * @typedef {Object} ClosedTab
+ * @property {string} id - Unique identifier of the history entry
+ * @property {string} url - The URL of the closed tab
+ * @property {string} title - The title of the closed tab
+ * @property {string} [favIconUrl] - The favicon of the closed tab
+ * @property {string} [containerName] - The container the tab was in
+ * @property {number} timestamp - When the tab was closed
+ * @property {string} type - What happened to the tab ('closed', 'unloaded', 'killed', 'evicted', 'evicted-unloaded' or 'deduplicated')
+ * @property {string} [sweepId] - Identifier of the check run that acted on the tab
+ * @property {number} [restoredAt] - When the tab was restored from history
  */
-function addPatternEntry(pattern) {
-  const entry = document.createElement('div');
-  entry.className = 'pattern-entry';
-  if (pattern.isPreset) {
-    entry.dataset.preset = 'true';
-  }
-
-  const patternInput = document.createElement('input');
-  patternInput.type = 'text';
-  patternInput.className = 'pattern-input';
-  patternInput.value = pattern.pattern;
-  patternInput.placeholder = 'Enter URL pattern (e.g., *.example.com/*)';
-  patternInput.addEventListener('input', saveSettings);
-
-  const actionSelect = document.createElement('select');
-  actionSelect.className = 'pattern-action';
-  ['keep', 'close'].forEach(action => {
-    const option = document.createElement('option');
-    option.value = action;
-    option.textContent = action.charAt(0).toUpperCase() + action.slice(1);
-    actionSelect.appendChild(option);
-  });
-  actionSelect.value = pattern.action;
-  actionSelect.addEventListener('change', saveSettings);
 
-  const removeButton = document.createElement('button');
-  removeButton.className = 'remove-pattern';
-  removeButton.textContent = '×';
-  removeButton.addEventListener('click', () => {
-    entry.remove();
-    saveSettings();
-  });
+// History entry types that can be reopened, keep in sync with background.js
+const RESTORABLE_TYPES = ['closed', 'killed', 'evicted', 'deduplicated'];
 
-  entry.appendChild(patternInput);
-  entry.appendChild(actionSelect);
-  entry.appendChild(removeButton);
+const HISTORY_TYPE_LABELS = {
+  closed: 'Closed',
+  unloaded: 'Unloaded',
+  killed: 'Killed',
+  evicted: 'Closed (tab limit)',
+  'evicted-unloaded': 'Unloaded (tab limit)',
+  deduplicated: 'Closed (already open)'
+};
 
-  const patternList = document.getElementById('patternList');
-  patternList.appendChild(entry);
+/**
+ * Checks whether a history entry can still be reopened
+ * @param {ClosedTab} tab - The history entry
+ * @returns {boolean} Whether the entry can be restored
+ */
+function isRestorable(tab) {
+  return Boolean(tab.id) && RESTORABLE_TYPES.includes(tab.type) && !tab.restoredAt;
 }
 
-// Add new pattern button handler
-document.getElementById('addPattern').addEventListener('click', () => {
-  addPatternEntry({
-    pattern: '',
-    action: 'keep',
-    isPreset: false
-  });
-});
-
 /**
- * @typedef {Object} ClosedTab
- * @property {string} url - The URL of the closed tab
- * @property {number} timestamp - When the tab was closed
+ * Asks the background page to restore tabs and refreshes the history
+ * @param {HTMLButtonElement} button - The button that triggered the restore
+ * @param {Object} message - The restore message to send
  */
+async function requestRestore(button, message) {
+  const label = button.textContent;
+  button.disabled = true;
+  button.textContent = 'Restoring...';
+  try {
+    await browser.runtime.sendMessage(message);
+    await loadHistory();
+  } catch (error) {
+    console.error('Error restoring tabs:', error);
+    button.textContent = 'Error!';
+    setTimeout(() => {
+      button.textContent = label;
+      button.disabled = false;
+    }, 2000);
+  }
+}
 
 /**
  * Loads and displays the last 10 closed tabs in the history section
  */
 async function loadHistory() {
-  const { closedTabs = [] } = await browser.storage.local.get({ closedTabs: [] });
+  const { entries: recentTabs, sweepSizes } = await browser.runtime.sendMessage({
+    action: 'queryHistory',
+    query: { limit: 10 }
+  });
   const historyContainer = document.getElementById('history');
   historyContainer.innerHTML = '';
   
-  const recentTabs = closedTabs.slice(-10).reverse();
-  
   if (recentTabs.length === 0) {
     const emptyState = document.createElement('div');
     emptyState.className = 'empty-state';
@@ -350,15 +746,30 @@ async function loadHistory() {
     historyContainer.appendChild(emptyState);
     return;
   }
+
+  // Sweep sizes count restorable tabs across the whole history, not just the visible part
+  const sweepButtonsShown = new Set();
   
   recentTabs.forEach((tab, index) => {
     const item = document.createElement('div');
     item.className = 'history-item';
+
+    const header = document.createElement('div');
+    header.className = 'history-header';
+
+    if (tab.favIconUrl) {
+      const icon = document.createElement('img');
+      icon.className = 'history-icon';
+      icon.src = tab.favIconUrl;
+      icon.alt = '';
+      header.appendChild(icon);
+    }
     
     const url = document.createElement('div');
     url.className = 'history-url';
-    url.textContent = tab.url;
+    url.textContent = tab.title || tab.url;
     url.title = tab.url; // Add tooltip for long URLs
+    header.appendChild(url);
     
     const time = document.createElement('div');
     time.className = 'history-time';
@@ -366,11 +777,47 @@ async function loadHistory() {
     
     const type = document.createElement('div');
     type.className = 'history-type';
-    type.textContent = tab.type === 'unloaded' ? 'Unloaded' : 'Closed';
+    const typeLabels = [HISTORY_TYPE_LABELS[tab.type] || 'Closed'];
+    if (tab.containerName && tab.containerName !== NO_CONTAINER_NAME) {
+      typeLabels.push(tab.containerName);
+    }
+    if (tab.restoredAt) {
+      typeLabels.push('Restored');
+    }
+    type.textContent = typeLabels.join(' · ');
     
-    item.appendChild(url);
+    item.appendChild(header);
     item.appendChild(time);
     item.appendChild(type);
+
+    if (isRestorable(tab)) {
+      const actions = document.createElement('div');
+      actions.className = 'history-actions';
+
+      const restoreButton = document.createElement('button');
+      restoreButton.className = 'restore-button';
+      restoreButton.textContent = 'Restore';
+      restoreButton.addEventListener('click', () => {
+        requestRestore(restoreButton, { action: 'restoreTabs', entryIds: [tab.id] });
+      });
+      actions.appendChild(restoreButton);
+
+      // Offer the sweep restore once, on the most recent entry of the sweep
+      const sweepSize = sweepSizes[tab.sweepId] || 0;
+      if (sweepSize > 1 && !sweepButtonsShown.has(tab.sweepId)) {
+        sweepButtonsShown.add(tab.sweepId);
+        const sweepButton = document.createElement('button');
+        sweepButton.className = 'restore-button';
+        sweepButton.textContent = `Restore all from this sweep (${sweepSize})`;
+        sweepButton.addEventListener('click', () => {
+          requestRestore(sweepButton, { action: 'restoreSweep', sweepId: tab.sweepId });
+        });
+        actions.appendChild(sweepButton);
+      }
+
+      item.appendChild(actions);
+    }
+
     historyContainer.appendChild(item);
     
     // Add staggered animation
@@ -385,81 +832,65 @@ async function loadHistory() {
 }
 
 /**
- * Adds a new pattern entry to the UI
- * @param {Pattern} pattern - The pattern to add, defaults to empty pattern with 'keep' action
+ * Loads the dated bookmark archive folders, each with a button to open its tabs
  */
-function addPatternEntry(pattern = { pattern: '', action: 'keep', isPreset: false }) {
-  const patternList = document.getElementById('patternList');
-  
-  const entry = document.createElement('div');
-  entry.className = 'pattern-entry';
-  if (pattern.isPreset) {
-    entry.classList.add('preset-pattern');
+async function loadArchive() {
+  const archiveContainer = document.getElementById('archive');
+  let folders = [];
+  try {
+    folders = await browser.runtime.sendMessage({ action: 'getArchiveFolders' });
+  } catch (error) {
+    console.error('Error loading archive:', error);
   }
-  
-  const input = document.createElement('input');
-  input.type = 'text';
-  input.className = 'pattern-input';
-  input.placeholder = 'e.g., *.example.com';
-  input.value = pattern.pattern;
-  
-  const select = document.createElement('select');
-  select.className = 'pattern-action';
-  
-  const actions = [
-    { value: 'keep', text: 'Don\'t close tab' },
-    { value: 'duplicate', text: 'Close if duplicate' },
-    { value: 'duplicate-no-query', text: 'Close if duplicate (ignore query)' },
-    { value: 'duplicate-domain', text: 'Close if duplicate domain' }
-  ];
-  
-  actions.forEach(action => {
-    const option = document.createElement('option');
-    option.value = action.value;
-    option.textContent = action.text;
-    if (action.value === pattern.action) {
-      option.selected = true;
-    }
-    select.appendChild(option);
-  });
-  
-  const removeButton = document.createElement('button');
-  removeButton.className = 'remove-pattern';
-  removeButton.textContent = '×';
-  removeButton.setAttribute('aria-label', 'Remove pattern');
-  
-  if (pattern.isPreset) {
-    removeButton.classList.add('preset');
-    removeButton.setAttribute('title', 'This is a preset pattern');
+  archiveContainer.innerHTML = '';
+
+  if (folders.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.textContent = 'No tabs have been archived yet.';
+    archiveContainer.appendChild(emptyState);
+    return;
   }
-  
-  removeButton.addEventListener('click', () => {
-    entry.classList.add('fade-out');
-    setTimeout(() => {
-      patternList.removeChild(entry);
-    }, 300);
+
+  folders.forEach(folder => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+
+    const title = document.createElement('div');
+    title.className = 'history-url';
+    title.textContent = folder.title;
+    item.appendChild(title);
+
+    const count = document.createElement('div');
+    count.className = 'history-time';
+    count.textContent = `${folder.count} ${folder.count === 1 ? 'tab' : 'tabs'}`;
+    item.appendChild(count);
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    const openButton = document.createElement('button');
+    openButton.className = 'restore-button';
+    openButton.textContent = 'Open all';
+    openButton.disabled = folder.count === 0;
+    openButton.addEventListener('click', async () => {
+      openButton.disabled = true;
+      openButton.textContent = 'Opening...';
+      try {
+        await browser.runtime.sendMessage({ action: 'openArchiveFolder', folderId: folder.id });
+        openButton.textContent = 'Open all';
+        openButton.disabled = false;
+      } catch (error) {
+        console.error('Error opening archive folder:', error);
+        openButton.textContent = 'Error!';
+      }
+    });
+    actions.appendChild(openButton);
+    item.appendChild(actions);
+
+    archiveContainer.appendChild(item);
   });
-  
-  entry.appendChild(input);
-  entry.appendChild(select);
-  entry.appendChild(removeButton);
-  
-  patternList.appendChild(entry);
-  
-  // Add animation
-  entry.style.opacity = '0';
-  entry.style.transform = 'translateY(10px)';
-  setTimeout(() => {
-    entry.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-    entry.style.opacity = '1';
-    entry.style.transform = 'translateY(0)';
-  }, 10);
 }
 
-// Add event listeners
-document.getElementById('save').addEventListener('click', saveSettings);
-document.getElementById('addPattern').addEventListener('click', () => addPatternEntry());
-
 async function unloadInactiveTabs() {
   try {
     const button = document.getElementById('unloadInactive');
@@ -483,3 +914,334 @@ async function unloadInactiveTabs() {
     }, 2000);
   }
 }
+
+/**
+ * Shows which schedule is in effect and when the next change happens
+ */
+async function loadScheduleStatus() {
+  const container = document.getElementById('scheduleStatus');
+  try {
+    const status = await browser.runtime.sendMessage({ action: 'getScheduleStatus' });
+    const parts = [status.schedule ? `Schedule: ${status.schedule}` : 'No schedule in effect'];
+    if (status.quiet) {
+      parts.push('quiet hours');
+    }
+    if (status.next) {
+      const when = new Date(status.next.at).toLocaleString([], {
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+      const what = status.next.quiet && !status.quiet
+        ? 'Quiet hours'
+        : status.next.schedule || 'No schedule';
+      parts.push(`next: ${what} at ${when}`);
+    }
+    container.textContent = parts.join(' · ');
+    container.classList.toggle('quiet', status.quiet);
+  } catch (error) {
+    console.error('Error loading schedule status:', error);
+  }
+}
+
+loadScheduleStatus();
+
+/**
+ * Protects the active tab for the given duration
+ * @param {('1h'|'4h'|'tomorrow'|'forever')} duration - How long to protect the tab
+ */
+async function protectCurrentTab(duration) {
+  try {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+    await browser.runtime.sendMessage({ action: 'protectTab', tabId: tab.id, duration });
+    await loadProtectedTabs();
+    await loadPreview();
+  } catch (error) {
+    console.error('Error protecting tab:', error);
+  }
+}
+
+/**
+ * Loads and displays the protected tabs
+ */
+async function loadProtectedTabs() {
+  const container = document.getElementById('protectedTabs');
+  container.innerHTML = '';
+
+  let protectedTabs = [];
+  try {
+    protectedTabs = await browser.runtime.sendMessage({ action: 'getProtectedTabs' });
+  } catch (error) {
+    console.error('Error loading protected tabs:', error);
+  }
+
+  if (protectedTabs.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.textContent = 'No protected tabs.';
+    container.appendChild(emptyState);
+    return;
+  }
+
+  protectedTabs.forEach(tab => {
+    const item = document.createElement('div');
+    item.className = 'protected-item';
+
+    const text = document.createElement('div');
+    text.className = 'protected-text';
+
+    const title = document.createElement('div');
+    title.className = 'history-url';
+    title.textContent = tab.title;
+    title.title = tab.url;
+
+    const until = document.createElement('div');
+    until.className = 'history-time';
+    until.textContent = tab.until === null
+      ? 'Protected until removed'
+      : `Protected until ${new Date(tab.until).toLocaleString()}`;
+
+    text.appendChild(title);
+    text.appendChild(until);
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'restore-button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', async () => {
+      try {
+        await browser.runtime.sendMessage({ action: 'unprotectTab', tabId: tab.tabId });
+        await loadProtectedTabs();
+        await loadPreview();
+      } catch (error) {
+        console.error('Error removing protection:', error);
+      }
+    });
+
+    item.appendChild(text);
+    item.appendChild(removeButton);
+    container.appendChild(item);
+  });
+}
+
+document.querySelectorAll('#protectButtons button').forEach(button => {
+  button.addEventListener('click', () => protectCurrentTab(button.dataset.duration));
+});
+loadProtectedTabs();
+
+/**
+ * Loads and displays the unloaded tabs and when auto-kill closes them
+ */
+async function loadUnloadedTabs() {
+  const container = document.getElementById('unloadedTabs');
+
+  let unloadedTabs = [];
+  try {
+    unloadedTabs = await browser.runtime.sendMessage({ action: 'getUnloadedTabs' });
+  } catch (error) {
+    console.error('Error loading unloaded tabs:', error);
+  }
+  container.innerHTML = '';
+
+  if (unloadedTabs.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.textContent = 'No unloaded tabs.';
+    container.appendChild(emptyState);
+    return;
+  }
+
+  unloadedTabs.forEach(tab => {
+    const item = document.createElement('div');
+    item.className = 'protected-item';
+
+    const text = document.createElement('div');
+    text.className = 'protected-text';
+
+    const title = document.createElement('div');
+    title.className = 'history-url';
+    title.textContent = tab.title;
+    title.title = tab.url;
+
+    const killAt = document.createElement('div');
+    killAt.className = 'history-time';
+    const unloaded = `Unloaded ${new Date(tab.discardedAt).toLocaleString()}`;
+    if (tab.killAt === null) {
+      killAt.textContent = `${unloaded} · Not killed: ${tab.reason}`;
+    } else if (tab.killAt <= Date.now()) {
+      killAt.textContent = `${unloaded} · Killed on next check`;
+    } else {
+      killAt.textContent = `${unloaded} · Killed ${new Date(tab.killAt).toLocaleString()}`;
+    }
+    killAt.title = tab.reason;
+
+    text.appendChild(title);
+    text.appendChild(killAt);
+    item.appendChild(text);
+    container.appendChild(item);
+  });
+}
+
+loadUnloadedTabs();
+setInterval(loadUnloadedTabs, 30000);
+
+// Latest preview from the background page and when it was fetched
+let preview = { generatedAt: 0, tabs: [] };
+let previewFetchedAt = 0;
+
+const PREVIEW_ACTION_LABELS = {
+  close: 'Close',
+  unload: 'Unload',
+  kill: 'Kill',
+  keep: 'Keep'
+};
+
+/**
+ * Formats a duration as a short countdown
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} The formatted duration, e.g. "1h 5m" or "2m 30s"
+ */
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Returns the time left for a previewed tab, counting down since the fetch
+ * @param {TabPreview} tab - The previewed tab
+ * @returns {number} Milliseconds left, Infinity for kept tabs
+ */
+function getPreviewTimeLeft(tab) {
+  if (tab.timeLeft === null) return Infinity;
+  return Math.max(0, tab.timeLeft - (Date.now() - previewFetchedAt));
+}
+
+/**
+ * Sorts previewed tabs by the selected order
+ * @param {TabPreview[]} tabs - The previewed tabs
+ * @param {('time'|'window'|'domain')} sortBy - The sort order
+ * @returns {TabPreview[]} The sorted tabs
+ */
+function sortPreview(tabs, sortBy) {
+  const byTime = (a, b) => getPreviewTimeLeft(a) - getPreviewTimeLeft(b);
+  return tabs.slice().sort((a, b) => {
+    switch (sortBy) {
+      case 'window':
+        return a.windowId - b.windowId || a.index - b.index;
+      case 'domain':
+        return a.domain.localeCompare(b.domain) || byTime(a, b);
+      default:
+        return byTime(a, b) || a.windowId - b.windowId || a.index - b.index;
+    }
+  });
+}
+
+/**
+ * Describes how long a previewed tab has been inactive
+ * @param {TabPreview} tab - The previewed tab
+ * @returns {string} The effective inactive time, with the wall clock time when it differs
+ */
+function describeInactivity(tab) {
+  const effective = `Inactive ${formatCountdown(tab.inactiveFor)}`;
+  if (preview.inactivityClock === 'wall' || tab.wallInactiveFor - tab.inactiveFor < 60000) {
+    return effective;
+  }
+  return `${effective} (${formatCountdown(tab.wallInactiveFor)} wall clock)`;
+}
+
+/**
+ * Renders the preview list
+ */
+function renderPreview() {
+  const container = document.getElementById('preview');
+  const sortBy = document.getElementById('previewSort').value;
+  container.innerHTML = '';
+
+  document.getElementById('previewClock').textContent = preview.inactivityClock === 'wall'
+    ? 'Inactivity is counted in wall clock time.'
+    : preview.idle
+      ? 'The system is idle, inactivity clocks are paused.'
+      : 'Inactivity is counted in active time only, idle and locked time is skipped.';
+
+  if (preview.tabs.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.textContent = 'No open tabs.';
+    container.appendChild(emptyState);
+    return;
+  }
+
+  sortPreview(preview.tabs, sortBy).forEach(tab => {
+    const item = document.createElement('div');
+    item.className = `preview-item preview-${tab.action}`;
+
+    const title = document.createElement('div');
+    title.className = 'history-url';
+    title.textContent = tab.title;
+    title.title = tab.url;
+
+    const details = document.createElement('div');
+    details.className = 'history-time';
+    const context = sortBy === 'window' ? `Window ${tab.windowId}` : tab.domain;
+    details.textContent = tab.rule
+      ? `${context} · ${tab.reason} · ${tab.rule.label}`
+      : `${context} · ${tab.reason}`;
+
+    const inactive = document.createElement('div');
+    inactive.className = 'history-time';
+    inactive.textContent = describeInactivity(tab);
+
+    const countdown = document.createElement('div');
+    countdown.className = 'preview-countdown';
+    countdown.dataset.tabId = tab.tabId;
+
+    item.appendChild(title);
+    item.appendChild(details);
+    item.appendChild(inactive);
+    item.appendChild(countdown);
+    container.appendChild(item);
+  });
+
+  updatePreviewCountdowns();
+}
+
+/**
+ * Updates the countdown of every previewed tab without re-rendering the list
+ */
+function updatePreviewCountdowns() {
+  const tabsById = new Map(preview.tabs.map(tab => [String(tab.tabId), tab]));
+  document.querySelectorAll('.preview-countdown').forEach(countdown => {
+    const tab = tabsById.get(countdown.dataset.tabId);
+    if (!tab) return;
+    const label = PREVIEW_ACTION_LABELS[tab.action] || tab.action;
+    if (tab.action === 'keep') {
+      countdown.textContent = label;
+    } else {
+      const timeLeft = getPreviewTimeLeft(tab);
+      countdown.textContent = timeLeft > 0 ? `${label} in ${formatCountdown(timeLeft)}` : `${label} on next check`;
+    }
+  });
+}
+
+/**
+ * Fetches a fresh preview from the background page
+ */
+async function loadPreview() {
+  try {
+    preview = await browser.runtime.sendMessage({ action: 'getPreview' });
+    previewFetchedAt = Date.now();
+    renderPreview();
+  } catch (error) {
+    console.error('Error loading preview:', error);
+  }
+}
+
+document.getElementById('previewSort').addEventListener('change', renderPreview);
+loadPreview();
+setInterval(updatePreviewCountdowns, 1000);
+setInterval(loadPreview, 30000); // Background checks run every minute, refetch twice as often